@@ -0,0 +1,220 @@
+import fs from "fs";
+import crypto from "crypto";
+import { createRateLimitStore } from "./rate_limits.js";
+import { sendError } from "./validation.js";
+import { logger } from "./logger.js";
+
+// Limits for clients that don't set their own
+const DEFAULT_RATE_LIMIT = Number(process.env.API_RATE_LIMIT || 60);
+const DEFAULT_RATE_WINDOW_SECONDS = Number(
+  process.env.API_RATE_WINDOW_SECONDS || 60
+);
+const DEFAULT_DAILY_QUOTA = Number(process.env.API_DAILY_QUOTA || 5000);
+
+// Browsers may only read response headers CORS exposes
+const LIMIT_HEADERS = [
+  "RateLimit-Limit",
+  "RateLimit-Remaining",
+  "RateLimit-Reset",
+  "X-Quota-Limit",
+  "X-Quota-Remaining",
+  "X-Quota-Reset",
+  "Retry-After",
+];
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function positiveNumber(value, fallback, label) {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== "number" || !(value > 0)) {
+    throw new Error(`${label} must be a positive number`);
+  }
+  return value;
+}
+
+// API clients from API_KEYS_FILE, a JSON array of
+// { id, key | keyHash, rateLimit, rateWindowSeconds, dailyQuota, origins,
+//   dailyBudgetUsd, userId }.
+// keyHash is the hex SHA-256 of the key, so the file needn't hold secrets.
+// `origins` lists the browser origins the key may be used from; "*" allows
+// any. `dailyBudgetUsd` caps the key's estimated upstream spend per day.
+// `userId` is the shopper account a key issued to one customer signs in
+// as; its orders are the only ones the key can look up or change.
+export function loadApiClients(filePath = process.env.API_KEYS_FILE) {
+  if (!filePath) {
+    return [];
+  }
+
+  const entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Array.isArray(entries)) {
+    throw new Error(`${filePath} must hold a JSON array of API clients`);
+  }
+
+  return entries.map((entry, index) => {
+    const id = entry.id || `client-${index + 1}`;
+    if (!entry.key && !entry.keyHash) {
+      throw new Error(`API client ${id} needs a key or keyHash`);
+    }
+    return {
+      id,
+      keyHash: (entry.keyHash || hashApiKey(entry.key)).toLowerCase(),
+      rateLimit: positiveNumber(
+        entry.rateLimit,
+        DEFAULT_RATE_LIMIT,
+        `${id} rateLimit`
+      ),
+      rateWindowMs:
+        positiveNumber(
+          entry.rateWindowSeconds,
+          DEFAULT_RATE_WINDOW_SECONDS,
+          `${id} rateWindowSeconds`
+        ) * 1000,
+      dailyQuota: positiveNumber(
+        entry.dailyQuota,
+        DEFAULT_DAILY_QUOTA,
+        `${id} dailyQuota`
+      ),
+      origins: Array.isArray(entry.origins) ? entry.origins : [],
+      dailyBudgetUsd: positiveNumber(
+        entry.dailyBudgetUsd,
+        undefined,
+        `${id} dailyBudgetUsd`
+      ),
+      userId: entry.userId || null,
+    };
+  });
+}
+
+// Keys come in x-api-key or as an Authorization: Bearer token
+function readApiKey(req) {
+  const header = req.get("x-api-key");
+  if (header) {
+    return header.trim();
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1].trim() : null;
+}
+
+function allowsOrigin(origins, origin) {
+  return origins.includes("*") || origins.includes(origin);
+}
+
+function secondsUntil(time) {
+  return Math.max(0, Math.ceil((time - Date.now()) / 1000));
+}
+
+function setLimitHeaders(res, prefix, limit, usage) {
+  res.set({
+    [`${prefix}-Limit`]: String(limit),
+    [`${prefix}-Remaining`]: String(Math.max(0, limit - usage.count)),
+    [`${prefix}-Reset`]: String(secondsUntil(usage.resetAt)),
+  });
+}
+
+// Quotas reset at midnight UTC
+function quotaWindow() {
+  const now = new Date();
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1
+  );
+  return { day: now.toISOString().slice(0, 10), ms: midnight - now.getTime() };
+}
+
+// API key authentication with a request-rate limit and a daily quota per
+// key. Returns the CORS options, which only let in origins some key allows,
+// and the middleware that checks each request. API_AUTH=off turns both off
+// for local development. `isPublic(req)` picks routes that need no key.
+export function createApiAuth({
+  clients = loadApiClients(),
+  store = createRateLimitStore(),
+  enabled = process.env.API_AUTH !== "off",
+  isPublic = () => false,
+} = {}) {
+  if (!enabled) {
+    logger.warn("API_AUTH=off: every route is open without an API key");
+    return { corsOptions: {}, authenticate: (req, res, next) => next() };
+  }
+  if (clients.length === 0) {
+    logger.warn(
+      "No API keys configured: set API_KEYS_FILE, or every route but the public ones will answer 401"
+    );
+  }
+
+  const clientsByHash = new Map(
+    clients.map((client) => [client.keyHash, client])
+  );
+  const origins = clients.flatMap((client) => client.origins);
+
+  const corsOptions = {
+    origin: (origin, callback) =>
+      callback(null, !!origin && allowsOrigin(origins, origin)),
+    exposedHeaders: LIMIT_HEADERS,
+  };
+
+  async function authenticate(req, res, next) {
+    if (req.method === "OPTIONS" || isPublic(req)) {
+      return next();
+    }
+
+    const key = readApiKey(req);
+    const client = key ? clientsByHash.get(hashApiKey(key)) : null;
+    if (!client) {
+      return sendError(res, 401, {
+        error: "Unauthorized",
+        message:
+          "A valid API key is required in the x-api-key header or as a Bearer token",
+      });
+    }
+
+    // Browsers send Origin; server-to-server callers don't and aren't
+    // bound by the allowlist
+    const origin = req.get("origin");
+    if (origin && !allowsOrigin(client.origins, origin)) {
+      return sendError(res, 403, {
+        error: "Origin not allowed",
+        message: `This API key can't be used from ${origin}`,
+      });
+    }
+
+    const rate = await store.hit(`rate:${client.id}`, client.rateWindowMs);
+    setLimitHeaders(res, "RateLimit", client.rateLimit, rate);
+    if (rate.count > client.rateLimit) {
+      res.set("Retry-After", String(secondsUntil(rate.resetAt)));
+      return sendError(res, 429, {
+        error: "Rate limit exceeded",
+        message: `At most ${client.rateLimit} requests every ${
+          client.rateWindowMs / 1000
+        } seconds`,
+      });
+    }
+
+    const window = quotaWindow();
+    const quota = await store.hit(
+      `quota:${client.id}:${window.day}`,
+      window.ms
+    );
+    setLimitHeaders(res, "X-Quota", client.dailyQuota, quota);
+    if (quota.count > client.dailyQuota) {
+      res.set("Retry-After", String(secondsUntil(quota.resetAt)));
+      return sendError(res, 429, {
+        error: "Daily quota exceeded",
+        message: `At most ${client.dailyQuota} requests per day; the quota resets at midnight UTC`,
+      });
+    }
+
+    req.apiClient = {
+      id: client.id,
+      dailyBudgetUsd: client.dailyBudgetUsd,
+      userId: client.userId,
+    };
+    next();
+  }
+
+  return { corsOptions, authenticate };
+}
@@ -0,0 +1,711 @@
+import { z } from "zod";
+import { LANGUAGES } from "./language.js";
+import { MARKETPLACES } from "./marketplaces.js";
+import { AUDIO_FORMATS, MIN_SPEED, MAX_SPEED } from "./text_to_speech.js";
+import { LISTS } from "./carts.js";
+import {
+  TICKET_STATUSES,
+  TICKET_PRIORITIES,
+  TICKET_CATEGORIES,
+  MAX_NOTE_LENGTH,
+} from "./tickets.js";
+
+// Request and response schemas for every route, keyed "METHOD /path" with
+// Express path syntax. validate() enforces the request side and
+// /openapi.json documents both.
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const PRODUCT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const SessionId = z
+  .string()
+  .regex(ID_PATTERN, "Must be 1-128 letters, digits, underscores or dashes");
+const UserId = z
+  .string()
+  .regex(ID_PATTERN, "Must be 1-128 letters, digits, underscores or dashes");
+const ProductId = z
+  .string()
+  .regex(PRODUCT_ID_PATTERN, "Must be an ASIN or catalog id");
+const Language = z.enum(Object.keys(LANGUAGES));
+const Marketplace = z.enum(Object.keys(MARKETPLACES));
+const Timestamp = z.string().datetime();
+
+const Message = z
+  .object({
+    role: z.string(),
+    content: z.unknown(),
+  })
+  .passthrough();
+const MessageHistory = z.array(Message).default([]);
+
+const AudioOptions = z.union([
+  z.boolean(),
+  z
+    .object({
+      voice: z.string().trim().min(1).optional(),
+      format: z.enum(Object.keys(AUDIO_FORMATS)).optional(),
+      speed: z.number().min(MIN_SPEED).max(MAX_SPEED).optional(),
+      delivery: z.enum(["inline", "url"]).optional(),
+    })
+    .strict(),
+]);
+
+const AudioReply = z.object({
+  format: z.string().optional(),
+  mimeType: z.string().optional(),
+  voice: z.string().optional(),
+  speed: z.number().optional(),
+  data: z.string().optional().describe("Base64 audio, for inline delivery"),
+  url: z.string().optional().describe("Clip URL, for url delivery"),
+  error: z.string().optional().describe("Set when synthesis failed"),
+});
+
+// Every failed request answers with this envelope
+export const ErrorEnvelope = z.object({
+  success: z.literal(false),
+  error: z.string().describe("Short error title"),
+  message: z.string().describe("What went wrong, safe to show a user"),
+  details: z
+    .unknown()
+    .nullable()
+    .describe("Validation issues or the underlying error, when there is one"),
+});
+
+const Recommendation = z.object({
+  rank: z.number().int(),
+  id: z.string(),
+  asin: z.string().nullable(),
+  title: z.string(),
+  price: z.string(),
+  link: z.string(),
+  image: z.string(),
+  shipping: z.string(),
+  rating: z.string(),
+  score: z.number().nullable(),
+  reason: z.string().nullable(),
+  reviewSummary: z.unknown().optional(),
+});
+
+const Product = z.object({
+  id: z.string(),
+  asin: z.string().nullable(),
+  title: z.string(),
+  brand: z.string().nullable(),
+  price: z.string().nullable(),
+  priceValue: z.number().nullable(),
+  originalPrice: z.string().nullable(),
+  currency: z.string(),
+  marketplace: z.string().nullable(),
+  rating: z.number().nullable(),
+  numRatings: z.number(),
+  image: z.string().nullable(),
+  link: z.string().nullable(),
+  delivery: z.string().nullable(),
+  isPrime: z.boolean(),
+  condition: z.string().nullable(),
+  source: z.string(),
+});
+
+const ProductDetails = Product.extend({
+  description: z.string().nullable(),
+  features: z.array(z.string()),
+  specs: z.record(z.string()),
+  variants: z.array(
+    z.object({
+      id: z.string().nullable(),
+      name: z.string().nullable(),
+      value: z.string().nullable(),
+      available: z.boolean(),
+      image: z.string().nullable(),
+    })
+  ),
+  images: z.array(z.string()),
+  availability: z.string().nullable(),
+});
+
+const Offer = z.object({
+  store: z.string().nullable(),
+  title: z.string().nullable(),
+  price: z.string().nullable(),
+  priceValue: z.number().nullable(),
+  originalPrice: z.string().nullable(),
+  currency: z.string(),
+  shipping: z.string().nullable(),
+  condition: z.string().nullable(),
+  link: z.string().nullable(),
+  storeRating: z.number().nullable(),
+});
+
+const ReviewSummary = z.object({
+  productId: z.string(),
+  reviewCount: z.number().int(),
+  averageRating: z.number().nullable(),
+  pros: z.array(z.string()),
+  cons: z.array(z.string()),
+  complaints: z.array(z.string()),
+  sentiment: z.enum(["positive", "mixed", "negative"]).nullable(),
+  summary: z.string(),
+});
+
+const Watch = z.object({
+  id: z.string().uuid(),
+  apiKey: z
+    .string()
+    .nullable()
+    .describe("API key the watch was created with; only it can see the watch"),
+  userId: z.string(),
+  productId: z.string(),
+  title: z.string().nullable(),
+  marketplace: z.string(),
+  currency: z.string(),
+  targetPrice: z.number(),
+  currentPrice: z.number().nullable(),
+  status: z.enum(["active", "triggered"]),
+  createdAt: Timestamp,
+  lastCheckedAt: Timestamp.nullable(),
+  triggeredAt: Timestamp.nullable(),
+});
+
+const ListSummary = z.object({
+  items: z.array(
+    z.object({
+      productId: z.string(),
+      asin: z.string().nullable(),
+      title: z.string(),
+      price: z.string().nullable(),
+      priceValue: z.number().nullable(),
+      currency: z.string(),
+      quantity: z.number().int(),
+      image: z.string().nullable(),
+      link: z.string().nullable(),
+      addedAt: Timestamp,
+    })
+  ),
+  itemCount: z.number().int(),
+  subtotal: z.number(),
+  currency: z.string(),
+  unpricedItems: z.number().int(),
+});
+
+const Ticket = z.object({
+  id: z.string(),
+  apiKey: z.string().nullable(),
+  userId: z.string(),
+  sessionId: z.string().nullable(),
+  status: z.enum(TICKET_STATUSES),
+  category: z.enum(TICKET_CATEGORIES),
+  priority: z.enum(TICKET_PRIORITIES),
+  subject: z.string(),
+  reason: z.string(),
+  nextSteps: z.array(z.string()),
+  transcript: z.array(
+    z.object({ role: z.enum(["user", "assistant"]), content: z.string() })
+  ),
+  history: z.array(
+    z.object({ status: z.enum(TICKET_STATUSES), at: Timestamp })
+  ),
+  createdAt: Timestamp,
+  updatedAt: Timestamp,
+});
+
+const StaffTicket = Ticket.extend({
+  notes: z.array(z.object({ text: z.string(), at: Timestamp })),
+});
+
+const UsageTotals = z.object({
+  requests: z.number().int(),
+  calls: z.number().int(),
+  failedCalls: z.number().int(),
+  inputTokens: z.number().int(),
+  outputTokens: z.number().int(),
+  latencyMs: z.number(),
+  costUsd: z.number().describe("Estimated from list prices"),
+});
+
+const UsageBudget = {
+  budgetUsd: z.number().nullable(),
+  remainingUsd: z.number().nullable(),
+};
+
+const KeyUsage = z.object({
+  keyId: z.string(),
+  today: UsageTotals.extend({ date: z.string(), ...UsageBudget }),
+  totals: UsageTotals,
+  byIntent: z.record(UsageTotals),
+  byOperation: z.record(UsageTotals),
+  byModel: z.record(UsageTotals),
+  recentRequests: z.array(
+    z.object({
+      id: z.string(),
+      route: z.string(),
+      sessionId: z.string().nullable(),
+      intent: z.string().nullable(),
+      degraded: z
+        .boolean()
+        .describe("A budget was spent, so cheaper models were used"),
+      startedAt: Timestamp,
+      inputTokens: z.number().int(),
+      outputTokens: z.number().int(),
+      costUsd: z.number(),
+      calls: z.array(
+        z.object({
+          provider: z.string(),
+          model: z.string(),
+          operation: z.string(),
+          inputTokens: z.number().int(),
+          outputTokens: z.number().int(),
+          latencyMs: z.number(),
+          costUsd: z.number(),
+          error: z.string().nullable(),
+        })
+      ),
+    })
+  ),
+});
+
+const SessionUsage = UsageTotals.extend({
+  sessionId: z.string(),
+  keyId: z.string(),
+  ...UsageBudget,
+  byIntent: z.record(UsageTotals),
+});
+
+// Fields /chat, /shop-products and /voice share
+const conversationFields = {
+  messageHistory: MessageHistory,
+  sessionId: SessionId.optional().describe(
+    "Session id from an earlier reply; an unknown or expired id starts a new session under a new id"
+  ),
+  userId: UserId.optional().describe(
+    "Owner of price watches, cart, wishlist and support tickets, under the caller's API key; defaults to the session. Orders are looked up for the key's own account instead"
+  ),
+  language: Language.optional().describe(
+    "Reply language; detected from the transcript when omitted"
+  ),
+  marketplace: Marketplace.optional().describe(
+    "Storefront to shop in; defaults to the session's, then the server's"
+  ),
+};
+
+const ShoppingRequest = z.object({
+  transcript: z.string().min(1),
+  ...conversationFields,
+  audio: AudioOptions.optional(),
+  includeReviews: z.boolean().optional(),
+  stream: z
+    .boolean()
+    .optional()
+    .describe("Stream the reply as Server-Sent Events"),
+});
+
+const AgentReply = z.object({
+  success: z.literal(true),
+  sessionId: z.string(),
+  intent: z.string(),
+  message: z.string(),
+  language: Language,
+  marketplace: Marketplace,
+  data: z.array(Recommendation).nullable(),
+  query: z.string().nullable(),
+  constraints: z.record(z.unknown()).nullable(),
+  comparison: z.record(z.unknown()).nullable().optional(),
+  details: ProductDetails.nullable().optional(),
+  watch: Watch.nullable().optional(),
+  cart: z.record(z.unknown()).nullable().optional(),
+  order: z.record(z.unknown()).nullable().optional(),
+  audio: AudioReply.optional(),
+  timestamp: Timestamp,
+});
+
+// Multipart fields are strings, so history may arrive JSON-encoded
+const VoiceRequest = z.object({
+  audioBase64: z.string().optional().describe("Base64 audio or a data URL"),
+  mimeType: z.string().optional(),
+  ...conversationFields,
+  messageHistory: z.preprocess((value) => {
+    if (typeof value !== "string") {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  }, MessageHistory),
+});
+
+// User ids are the client's own names; watches, carts, wishlists and
+// tickets are looked up under its API key
+const UserQuery = z.object({
+  userId: UserId.describe("The user, as the calling API key names them"),
+});
+const ProductParams = z.object({ asin: ProductId });
+const MarketplaceQuery = z.object({ marketplace: Marketplace.optional() });
+
+// Cart and wishlist routes are the same for both lists
+function listRoutes(list) {
+  const tag = "Cart and wishlist";
+  return {
+    [`GET /${list}`]: {
+      summary: `Read the ${list}, with a spoken summary`,
+      tag,
+      query: UserQuery,
+      responses: {
+        200: z.object({
+          success: z.literal(true),
+          data: ListSummary,
+          message: z.string(),
+        }),
+      },
+    },
+    [`POST /${list}/items`]: {
+      summary: `Add a product to the ${list}`,
+      tag,
+      body: z.object({
+        userId: UserId,
+        productId: ProductId,
+        quantity: z.number().int().min(1).default(1),
+        marketplace: Marketplace.optional(),
+      }),
+      responses: {
+        201: z.object({ success: z.literal(true), data: ListSummary }),
+      },
+    },
+    [`DELETE /${list}/items/:productId`]: {
+      summary: `Remove a product from the ${list}`,
+      tag,
+      params: z.object({ productId: z.string() }),
+      query: UserQuery,
+      responses: {
+        200: z.object({ success: z.literal(true), data: ListSummary }),
+      },
+    },
+    [`DELETE /${list}`]: {
+      summary: `Empty the ${list}`,
+      tag,
+      query: UserQuery,
+      responses: {
+        200: z.object({
+          success: z.literal(true),
+          removed: z.number().int(),
+        }),
+      },
+    },
+  };
+}
+
+export const ROUTES = {
+  "GET /health": {
+    summary: "Health check",
+    tag: "Service",
+    public: true,
+    responses: {
+      200: z.object({
+        status: z.literal("OK"),
+        timestamp: Timestamp,
+        port: z.union([z.string(), z.number()]),
+      }),
+    },
+  },
+  "GET /metrics": {
+    summary: "Prometheus metrics",
+    description:
+      "Request counts and latencies, intent distribution, pipeline step timings, upstream call outcomes and fallback usage.",
+    tag: "Service",
+    responses: { 200: "metrics" },
+  },
+  "GET /openapi.json": {
+    summary: "This OpenAPI document",
+    tag: "Service",
+    responses: { 200: z.record(z.unknown()) },
+  },
+  "POST /chat": {
+    summary: "One turn of the shopping assistant",
+    description:
+      "Send `stream: true` or `Accept: text/event-stream` to receive intent, token, products and done events.",
+    tag: "Assistant",
+    body: ShoppingRequest,
+    responses: { 200: AgentReply },
+  },
+  "POST /shop-products": {
+    summary: "Product recommendations for a request, top five",
+    tag: "Assistant",
+    body: ShoppingRequest.omit({ stream: true }),
+    responses: {
+      200: AgentReply.pick({
+        success: true,
+        sessionId: true,
+        intent: true,
+        message: true,
+        language: true,
+        marketplace: true,
+        data: true,
+        query: true,
+        constraints: true,
+        details: true,
+        watch: true,
+        cart: true,
+        audio: true,
+        timestamp: true,
+      }),
+    },
+  },
+  "POST /voice": {
+    summary: "Transcribe a recording and answer it",
+    description:
+      "Upload an `audio` file as multipart/form-data, or send audioBase64 and mimeType as JSON.",
+    tag: "Assistant",
+    body: VoiceRequest,
+    multipart: { audio: "Recorded speech" },
+    responses: {
+      200: AgentReply.omit({ audio: true }).extend({ transcript: z.string() }),
+    },
+  },
+  "POST /search-products": {
+    summary: "Search the configured product source",
+    tag: "Products",
+    body: z.object({
+      query: z.string().min(1),
+      marketplace: Marketplace.optional(),
+    }),
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        data: z.object({
+          marketplace: Marketplace,
+          products: z.array(
+            z.object({
+              asin: z.string().nullable(),
+              id: z.string(),
+              image: z.string(),
+              title: z.string(),
+              price: z.string().nullable(),
+              currency: z.string(),
+              rating: z.string(),
+              link: z.string().nullable(),
+              rank: z.number().int(),
+            })
+          ),
+        }),
+      }),
+    },
+  },
+  "GET /product-offers": {
+    summary: "Offers for one product across stores",
+    tag: "Products",
+    query: MarketplaceQuery.extend({ product_id: z.string().min(1) }),
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        marketplace: Marketplace,
+        data: z.unknown().describe("The source's raw response"),
+        offers: z.array(Offer),
+      }),
+    },
+  },
+  "GET /products/:asin": {
+    summary: "Full product details",
+    tag: "Products",
+    params: ProductParams,
+    query: MarketplaceQuery,
+    responses: {
+      200: z.object({ success: z.literal(true), data: ProductDetails }),
+    },
+  },
+  "GET /products/:asin/reviews/summary": {
+    summary: "Pros, cons and sentiment summarized from reviews",
+    tag: "Products",
+    params: ProductParams,
+    query: MarketplaceQuery,
+    responses: {
+      200: z.object({ success: z.literal(true), data: ReviewSummary }),
+    },
+  },
+  "POST /watches": {
+    summary: "Alert a user's webhook when a product reaches a price",
+    tag: "Price watches",
+    body: z.object({
+      userId: UserId,
+      productId: ProductId,
+      targetPrice: z.number().positive(),
+      title: z.string().optional(),
+      marketplace: Marketplace.optional(),
+    }),
+    responses: { 201: z.object({ success: z.literal(true), data: Watch }) },
+  },
+  "GET /watches": {
+    summary: "A user's price watches",
+    tag: "Price watches",
+    query: UserQuery,
+    responses: {
+      200: z.object({ success: z.literal(true), data: z.array(Watch) }),
+    },
+  },
+  "DELETE /watches/:id": {
+    summary: "Delete one of a user's price watches",
+    tag: "Price watches",
+    params: z.object({ id: z.string() }),
+    query: UserQuery,
+    responses: {
+      200: z.object({ success: z.literal(true), deleted: z.string() }),
+    },
+  },
+  "POST /admin/watches/check": {
+    summary: "Check every active price watch now",
+    tag: "Admin",
+    admin: true,
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        checked: z.number().int(),
+        triggered: z.number().int(),
+      }),
+    },
+  },
+  ...Object.assign({}, ...LISTS.map(listRoutes)),
+  "POST /support": {
+    summary: "Customer support for a problem description and/or image",
+    description:
+      "Answers from the knowledge base with citations and opens a ticket when a person is needed. Send `stream: true` or `Accept: text/event-stream` to stream the reply.",
+    tag: "Support",
+    body: z
+      .object({
+        problemDescription: z.string().min(1).optional(),
+        imageBase64: z.string().min(1).optional(),
+        ...conversationFields,
+        audio: AudioOptions.optional(),
+        stream: z.boolean().optional(),
+      })
+      .omit({ marketplace: true })
+      .refine((body) => body.problemDescription || body.imageBase64, {
+        message: "Provide a problemDescription, an imageBase64 or both",
+      }),
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        sessionId: z.string(),
+        timestamp: Timestamp,
+        textAnalysis: z.string().nullable(),
+        imageAnalysis: z.string().nullable(),
+        language: Language,
+        requiresHuman: z.boolean(),
+        nextSteps: z.array(z.string()),
+        citations: z.array(
+          z.object({
+            id: z.string(),
+            title: z.string(),
+            section: z.string().nullable(),
+            source: z.string(),
+          })
+        ),
+        ticket: Ticket.nullable(),
+        audio: AudioReply.optional(),
+      }),
+    },
+  },
+  "GET /tickets/:id": {
+    summary: "A user's own support ticket",
+    tag: "Support",
+    params: z.object({ id: z.string() }),
+    query: UserQuery,
+    responses: { 200: z.object({ success: z.literal(true), data: Ticket }) },
+  },
+  "GET /admin/tickets": {
+    summary: "List support tickets, newest first",
+    tag: "Admin",
+    admin: true,
+    query: z.object({
+      userId: UserId.optional(),
+      status: z.enum(TICKET_STATUSES).optional(),
+      priority: z.enum(TICKET_PRIORITIES).optional(),
+      category: z.enum(TICKET_CATEGORIES).optional(),
+    }),
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        count: z.number().int(),
+        data: z.array(StaffTicket),
+      }),
+    },
+  },
+  "PATCH /admin/tickets/:id": {
+    summary: "Change a ticket's status or priority, or add a staff note",
+    tag: "Admin",
+    admin: true,
+    params: z.object({ id: z.string() }),
+    body: z
+      .object({
+        status: z.enum(TICKET_STATUSES).optional(),
+        priority: z.enum(TICKET_PRIORITIES).optional(),
+        note: z.string().trim().min(1).max(MAX_NOTE_LENGTH).optional(),
+      })
+      .refine(
+        (body) => body.status || body.priority || body.note,
+        "Provide at least one of status, priority or note"
+      ),
+    responses: {
+      200: z.object({ success: z.literal(true), data: StaffTicket }),
+    },
+  },
+  "GET /audio/:clipId": {
+    summary: "A synthesized reply handed out with delivery: url",
+    tag: "Assistant",
+    public: true,
+    params: z.object({ clipId: z.string() }),
+    responses: { 200: "audio" },
+  },
+  "GET /usage": {
+    summary: "Tokens, upstream calls and estimated cost for your API key",
+    description:
+      "Totals for today and since the server started, broken down by intent, operation (LLM task or RapidAPI call) and model, with the most recent metered requests. Pass `sessionId` for one session's usage instead.",
+    tag: "Usage",
+    query: z.object({ sessionId: SessionId.optional() }),
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        data: z.union([KeyUsage, SessionUsage]),
+      }),
+    },
+  },
+  "GET /admin/usage": {
+    summary: "Usage across every API key",
+    tag: "Admin",
+    admin: true,
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        data: z.object({
+          byKey: z.record(
+            z.object({ today: UsageTotals, totals: UsageTotals })
+          ),
+          byIntent: z.record(UsageTotals),
+          byOperation: z.record(UsageTotals),
+          byModel: z.record(UsageTotals),
+        }),
+      }),
+    },
+  },
+  "GET /admin/cache": {
+    summary: "Hit and miss counts per cache",
+    tag: "Admin",
+    admin: true,
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        caches: z.array(z.record(z.unknown())),
+      }),
+    },
+  },
+  "DELETE /admin/cache": {
+    summary: "Purge every cache, or the one named",
+    tag: "Admin",
+    admin: true,
+    query: z.object({ name: z.string().optional() }),
+    responses: {
+      200: z.object({
+        success: z.literal(true),
+        purged: z.record(z.number()),
+      }),
+    },
+  },
+};
@@ -1,31 +1,249 @@
 import express from "express";
 import cors from "cors";
+import multer from "multer";
 import {
   getMessageFromAgent,
   processSupportTextWithGemini,
   processSupportImageWithGroq,
   getShoppingRecommendations,
 } from "./functions.js";
+import {
+  createSessionStore,
+  loadSession,
+  getSessionHistory,
+  recordTurn,
+  purgeExpiredSessions,
+} from "./session_store.js";
+import { wantsStream, openEventStream, sendStreamError } from "./streaming.js";
+import {
+  createSpeechProvider,
+  decodeBase64Audio,
+  checkAudioUpload,
+  transcribeAudio,
+  MAX_AUDIO_BYTES,
+} from "./speech_to_text.js";
+import {
+  getProductSource,
+  searchProductSource,
+  getProductOffers,
+  getProductDetails,
+} from "./product_sources.js";
+import { getCacheStats, purgeCaches } from "./cache.js";
+import { getReviewSummary, attachReviewSummaries } from "./review_summaries.js";
+import {
+  createWatchStore,
+  createPriceWatcher,
+  createWatch,
+  listWatches,
+  deleteWatch,
+} from "./price_watch.js";
+import {
+  LISTS,
+  createCartStore,
+  getLists,
+  addItem,
+  removeItem,
+  clearList,
+  summarizeList,
+  describeList,
+} from "./carts.js";
+import {
+  createTicketStore,
+  isValidTicketId,
+  asksForHuman,
+  classifyProblem,
+  createTicket,
+  getTicket,
+  appendToTicket,
+  isTicketOpen,
+  listTickets,
+  updateTicket,
+  publicTicket,
+  describeTicket,
+} from "./tickets.js";
+import { createOrderService } from "./order_service.js";
+import {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  detectLanguage,
+  localizeText,
+} from "./language.js";
+import { DEFAULT_MARKETPLACE, isSupportedMarketplace } from "./marketplaces.js";
+import {
+  createTtsProvider,
+  createAudioClipStore,
+  parseAudioOptions,
+  synthesizeSpeech,
+} from "./text_to_speech.js";
+import { validate, sendError, errorEnvelope } from "./validation.js";
+import { buildOpenApiDocument } from "./openapi.js";
+import { createApiAuth } from "./api_auth.js";
+import { logger, logRequests } from "./logger.js";
+import { measureRequests, recordIntent, renderMetrics } from "./metrics.js";
+import {
+  meterUsage,
+  tagUsage,
+  getKeyUsage,
+  getSessionUsage,
+  getUsageOverview,
+} from "./usage.js";
 
 const app = express();
 const port = process.env.PORT || 5001;
+const sessionStore = createSessionStore();
+const speechProvider = createSpeechProvider();
+const ttsProvider = createTtsProvider();
+const audioClips = createAudioClipStore();
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AUDIO_BYTES },
+}).single("audio");
 
-// Middleware
+// Sweep idle sessions periodically
+setInterval(() => {
+  purgeExpiredSessions(sessionStore).catch((error) =>
+    logger.error("Session cleanup failed", { error })
+  );
+}, 60 * 1000).unref();
+
+// Price watches persist to disk and are re-checked in the background
+const watchStore = createWatchStore();
+const priceWatcher = createPriceWatcher({ store: watchStore });
+priceWatcher.start();
+
+const cartStore = createCartStore();
+const ticketStore = createTicketStore();
+const orderService = createOrderService();
+
+// Every route needs an API key except /health, for load balancers, and
+// audio clip URLs, which <audio> elements fetch without headers. Clip ids
+// are unguessable and expire.
+const PUBLIC_ROUTES = /^\/(health|audio\/[^/]+)$/;
+const apiAuth = createApiAuth({
+  isPublic: (req) => PUBLIC_ROUTES.test(req.path),
+});
+
+// Middleware. Keys are checked before bodies are parsed so unauthenticated
+// clients can't make us read large uploads.
+app.use(logRequests);
+app.use(measureRequests);
+app.use(cors(apiAuth.corsOptions));
+app.use(apiAuth.authenticate);
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
-app.use(cors());
+app.use(meterUsage);
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({
-    error: "Internal server error",
-    message: "Something went wrong processing your request",
-  });
-});
+// Synthesize a reply in the requested voice and format. A TTS failure is
+// reported in the audio field instead of failing the text reply.
+async function buildAudioReply(req, text, audioOptions) {
+  try {
+    const { buffer, mimeType } = await synthesizeSpeech(
+      ttsProvider,
+      text,
+      audioOptions
+    );
+    const audio = {
+      format: audioOptions.format,
+      mimeType,
+      voice: audioOptions.voice,
+      speed: audioOptions.speed,
+    };
+
+    if (audioOptions.delivery === "url") {
+      const clipId = audioClips.save(buffer, mimeType);
+      return {
+        ...audio,
+        url: `${req.protocol}://${req.get("host")}/audio/${clipId}`,
+      };
+    }
+    return { ...audio, data: buffer.toString("base64") };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Sessions, and the price watches, carts and wishlists stored for a userId,
+// belong to the caller's API key, so one key can't read or change what
+// another key's users saved. Null when API_AUTH=off.
+function apiKeyOf(req) {
+  return req.apiClient?.id ?? null;
+}
+
+// Orders are looked up for the account the API key signs in as, never one
+// the client names; keys without an account only reach the session's own
+function accountOf(req, session) {
+  return req.apiClient?.userId || session.id;
+}
+
+// What the agent needs to act on earlier turns: the last result set, the
+// marketplace it shops in, whose price watches, cart and wishlist it works
+// with (userId, or the session, under the caller's API key) and whose
+// orders it can look up
+function buildAgentContext(req, session) {
+  return {
+    lastResults: session.lastResults,
+    marketplace: resolveMarketplace(req, session),
+    apiKey: apiKeyOf(req),
+    userId: req.body.userId || session.id,
+    accountId: accountOf(req, session),
+    orderFlow: session.orderFlow || null,
+    watchStore,
+    cartStore,
+    orderService,
+  };
+}
+
+// Reply language: the client's `language` when it is one we answer in,
+// otherwise detected from what was said. Short replies keep the session's.
+function resolveLanguage(req, session, text) {
+  if (isSupportedLanguage(req.body.language)) {
+    return req.body.language;
+  }
+  return detectLanguage(text, session.language || DEFAULT_LANGUAGE);
+}
+
+// Storefront to shop in: the client's `marketplace`, sent in the body or
+// the query string, else the session's, else the server default. Body
+// routes don't validate the query string, so unknown codes are skipped.
+function resolveMarketplace(req, session = null) {
+  return (
+    [req.body?.marketplace, req.query.marketplace, session?.marketplace].find(
+      isSupportedMarketplace
+    ) || DEFAULT_MARKETPLACE
+  );
+}
+
+// Recommendations for the response, with review summaries when the client
+// sent includeReviews: true
+async function buildRecommendationData(req, recommendations, marketplace) {
+  if (!recommendations) {
+    return null;
+  }
+  return req.body.includeReviews
+    ? attachReviewSummaries(recommendations, { marketplace })
+    : recommendations;
+}
+
+// Admin routes need ADMIN_TOKEN set on the server and sent as x-admin-token
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return sendError(res, 403, {
+      error: "Admin disabled",
+      message: "Set ADMIN_TOKEN on the server to enable admin endpoints",
+    });
+  }
+
+  if (req.get("x-admin-token") !== process.env.ADMIN_TOKEN) {
+    return sendError(res, 401, {
+      error: "Unauthorized",
+      message: "A valid x-admin-token header is required",
+    });
+  }
+  next();
+}
 
 // Health check endpoint
-app.get("/health", (req, res) => {
+app.get("/health", validate("GET /health"), (req, res) => {
   res.json({
     status: "OK",
     timestamp: new Date().toISOString(),
@@ -33,400 +251,816 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Prometheus scrape endpoint; scrapers send their API key as a Bearer token
+app.get("/metrics", validate("GET /metrics"), (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Machine-readable description of every route, generated from the same
+// schemas the routes validate against
+const openApiDocument = buildOpenApiDocument({
+  version: process.env.npm_package_version,
+});
+app.get("/openapi.json", validate("GET /openapi.json"), (req, res) => {
+  res.json(openApiDocument);
+});
+
 // Main endpoint for chat interactions
-app.post("/chat", async (req, res) => {
+app.post("/chat", validate("POST /chat"), async (req, res) => {
   try {
-    // Validate request body
-    if (!req.body) {
-      return res.status(400).json({
-        error: "Missing request body",
-        message: "Please provide transcript and messageHistory in request body",
-      });
-    }
-
-    const { transcript, messageHistory = [] } = req.body;
+    const { transcript, messageHistory, sessionId } = req.body;
 
-    // Validate transcript
-    if (!transcript) {
-      return res.status(400).json({
-        error: "Missing transcript",
-        message: "Please provide a transcript parameter",
-      });
-    }
+    // Audio options were checked with the body; this fills in the defaults
+    const { options: audioOptions } = parseAudioOptions(req.body.audio);
 
-    if (typeof transcript !== "string") {
-      return res.status(400).json({
-        error: "Invalid transcript format",
-        message: "Transcript must be a string",
-      });
-    }
+    const session = await loadSession(sessionStore, sessionId, {
+      apiKey: apiKeyOf(req),
+      messageHistory,
+    });
+    const history = getSessionHistory(session);
+    tagUsage({ sessionId: session.id });
 
-    // Validate messageHistory
-    if (!Array.isArray(messageHistory)) {
-      return res.status(400).json({
-        error: "Invalid messageHistory format",
-        message: "MessageHistory must be an array",
-      });
-    }
+    logger.info("Chat request", {
+      transcriptLength: transcript.length,
+      historyLength: history.length,
+    });
+    logger.debug("Transcript", { transcript });
 
-    console.log(`Received transcript: ${transcript}`);
-    console.log(`Message history length: ${messageHistory.length}`);
+    // Streaming clients get intent, message tokens and products as SSE
+    const stream = wantsStream(req) ? openEventStream(res) : null;
 
     // Get response from Groq
-    const response = await getMessageFromAgent(transcript, messageHistory);
-    console.log("Response from Groq:", response);
+    const language = resolveLanguage(req, session, transcript);
+    const context = buildAgentContext(req, session);
+    const response = await getMessageFromAgent(transcript, history, {
+      onEvent: stream?.send,
+      context,
+      language,
+    });
+    tagUsage({ intent: response.intent });
+    recordIntent(response.intent);
+    logger.debug("Agent response", { response });
 
     // Handle error responses
     if (response.error) {
-      return res.status(400).json({
+      const errorBody = errorEnvelope({
         error: response.error,
         message: response.message,
         details: response.details || null,
+        language: response.language,
+        marketplace: context.marketplace,
       });
+      if (stream) {
+        stream.send("error", errorBody);
+        return stream.close();
+      }
+      return sendError(res, 400, errorBody);
     }
 
+    // A flow still waiting on an answer carries over to the next turn
+    session.orderFlow = response.orderFlow || null;
+    session.language = language;
+    session.marketplace = context.marketplace;
+    await recordTurn(
+      sessionStore,
+      session,
+      transcript,
+      response.message,
+      response.results
+    );
+
     // Success response
-    res.status(200).json({
+    const body = {
       success: true,
+      sessionId: session.id,
       intent: response.intent,
       message: response.message,
-      data: response.recommendations || null,
+      language: response.language,
+      marketplace: context.marketplace,
+      data: await buildRecommendationData(
+        req,
+        response.recommendations,
+        context.marketplace
+      ),
       query: response.query || null,
+      constraints: response.constraints || null,
+      comparison: response.comparison || null,
+      details: response.details || null,
+      watch: response.watch || null,
+      cart: response.cart || null,
+      order: response.order || null,
+      audio: audioOptions
+        ? await buildAudioReply(req, response.message, audioOptions)
+        : undefined,
       timestamp: new Date().toISOString(),
-    });
+    };
+    if (stream) {
+      stream.send("done", body);
+      return stream.close();
+    }
+    res.status(200).json(body);
   } catch (error) {
-    console.error("Chat endpoint error:", error);
-    res.status(500).json({
+    logger.error("Chat endpoint error", { error });
+    const errorBody = errorEnvelope({
       error: "Server error",
       message: "Failed to process your request",
       details: error.message,
     });
+    if (res.headersSent) {
+      return sendStreamError(res, errorBody);
+    }
+    sendError(res, 500, errorBody);
   }
 });
 
 //shopping endpoint
-app.post("/shop-products", async (req, res) => {
-  try {
-    // Validate request body
-    if (!req.body) {
-      return res.status(400).json({
-        error: "Missing request body",
-        message: "Please provide transcript and messageHistory in request body",
-      });
-    }
+app.post(
+  "/shop-products",
+  validate("POST /shop-products"),
+  async (req, res) => {
+    try {
+      const { transcript, messageHistory, sessionId } = req.body;
 
-    const { transcript, messageHistory = [] } = req.body;
+      // Audio options were checked with the body; this fills in the defaults
+      const { options: audioOptions } = parseAudioOptions(req.body.audio);
 
-    // Validate transcript
-    if (!transcript) {
-      return res.status(400).json({
-        error: "Missing transcript",
-        message: "Please provide a transcript parameter",
+      const session = await loadSession(sessionStore, sessionId, {
+        apiKey: apiKeyOf(req),
+        messageHistory,
       });
-    }
+      const history = getSessionHistory(session);
+      tagUsage({ sessionId: session.id, intent: "shopping" });
 
-    if (typeof transcript !== "string") {
-      return res.status(400).json({
-        error: "Invalid transcript format",
-        message: "Transcript must be a string",
+      logger.info("Shopping request", {
+        transcriptLength: transcript.length,
+        historyLength: history.length,
       });
-    }
+      logger.debug("Transcript", { transcript });
 
-    // Validate messageHistory
-    if (!Array.isArray(messageHistory)) {
-      return res.status(400).json({
-        error: "Invalid messageHistory format",
-        message: "MessageHistory must be an array",
+      // Get response from Groq
+      const language = resolveLanguage(req, session, transcript);
+      const context = buildAgentContext(req, session);
+      const response = await getShoppingRecommendations(transcript, history, {
+        context,
+        language,
       });
-    }
+      recordIntent("shopping");
+      logger.debug("Agent response", { response });
 
-    console.log(`Received transcript: ${transcript}`);
-    console.log(`Message history length: ${messageHistory.length}`);
+      // Handle error responses
+      if (response.error) {
+        return sendError(res, 400, {
+          error: response.error,
+          message: response.message,
+          details: response.details || null,
+          language: response.language,
+          marketplace: context.marketplace,
+        });
+      }
 
-    // Get response from Groq
-    const response = await getShoppingRecommendations(
-      transcript,
-      messageHistory
-    );
-    console.log("Response from Groq:", response);
+      session.language = language;
+      session.marketplace = context.marketplace;
+      await recordTurn(
+        sessionStore,
+        session,
+        transcript,
+        response.message,
+        response.results
+      );
 
-    // Handle error responses
-    if (response.error) {
-      return res.status(400).json({
-        error: response.error,
+      // Success response
+      res.status(200).json({
+        success: true,
+        sessionId: session.id,
+        intent: response.intent,
         message: response.message,
+        language: response.language,
+        marketplace: context.marketplace,
+        data: await buildRecommendationData(
+          req,
+          response.recommendations,
+          context.marketplace
+        ),
+        query: response.query || null,
+        constraints: response.constraints || null,
+        // Follow-ups here can describe a shown product, set a price watch
+        // or change the cart, so what they did comes back as in /chat
         details: response.details || null,
+        watch: response.watch || null,
+        cart: response.cart || null,
+        audio: audioOptions
+          ? await buildAudioReply(req, response.message, audioOptions)
+          : undefined,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error("Chat endpoint error", { error });
+      sendError(res, 500, {
+        error: "Server error",
+        message: "Failed to process your request",
+        details: error.message,
       });
     }
+  }
+);
 
-    // Success response
-    res.status(200).json({
-      success: true,
-      intent: response.intent,
-      message: response.message,
-      data: response.recommendations || null,
-      query: response.query || null,
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("Chat endpoint error:", error);
-    res.status(500).json({
-      error: "Server error",
-      message: "Failed to process your request",
-      details: error.message,
+// Voice endpoint: transcribe an audio upload, then run the agent on it
+app.post(
+  "/voice",
+  (req, res, next) => {
+    audioUpload(req, res, (error) => {
+      if (error) {
+        return sendError(res, 400, {
+          error: "Invalid audio upload",
+          message: error.message,
+        });
+      }
+      next();
     });
-  }
-});
+  },
+  validate("POST /voice"),
+  async (req, res) => {
+    try {
+      const { audioBase64, mimeType, language, messageHistory, sessionId } =
+        req.body;
 
-// Product search endpoint using new API
-// Product search endpoint using new API
-app.post("/search-products", async (req, res) => {
-  try {
-    // Get query from request body for POST request
-    const { query } = req.body;
-
-    // Validate query parameter
-    if (!query) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing query parameter",
-        message: "Please provide a search query",
-      });
-    }
+      // Multipart uploads arrive as req.file, JSON uploads as base64
+      let audio;
+      if (req.file) {
+        audio = { buffer: req.file.buffer, mimeType: req.file.mimetype };
+      } else if (audioBase64) {
+        try {
+          audio = decodeBase64Audio(audioBase64, mimeType);
+        } catch (error) {
+          return sendError(res, 400, {
+            error: "Invalid audio data",
+            message: "AudioBase64 must be a base64 string or data URL",
+          });
+        }
+      } else {
+        return sendError(res, 400, {
+          error: "Missing audio",
+          message:
+            "Please upload an 'audio' file or provide audioBase64 and mimeType",
+        });
+      }
 
-    if (typeof query !== "string") {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid query parameter",
-        message: "Query must be a string",
-      });
-    }
+      const audioProblem = checkAudioUpload(audio);
+      if (audioProblem) {
+        return sendError(res, 400, {
+          error: "Invalid audio upload",
+          message: audioProblem,
+        });
+      }
 
-    // Check for required environment variables
-    if (!process.env.RAPIDAPI_KEY) {
-      console.error("Missing required environment variables");
-      return res.status(500).json({
-        success: false,
-        error: "Configuration error",
-        message: "Server configuration is incomplete",
+      logger.info("Voice request", {
+        mimeType: audio.mimeType,
+        bytes: audio.buffer.length,
       });
-    }
 
-    const searchUrl = `https://real-time-amazon-data.p.rapidapi.com/search?query=${encodeURIComponent(
-      query
-    )}&page=1&country=US&sort_by=RELEVANCE&product_condition=ALL`;
+      let transcript;
+      try {
+        // Speech-to-text takes plain ISO 639-1 codes ("hi", not "hi-Latn")
+        transcript = await transcribeAudio(speechProvider, {
+          ...audio,
+          language: language?.split("-")[0],
+        });
+      } catch (error) {
+        return sendError(res, 502, {
+          error: "Transcription failed",
+          message: "Could not transcribe your audio",
+          details: error.message,
+        });
+      }
 
-    console.log(`Fetching Amazon products for: ${query}`);
+      if (!transcript) {
+        return sendError(res, 422, {
+          error: "No speech detected",
+          message: "I couldn't hear anything in that recording",
+          transcript: "",
+        });
+      }
 
-    const response = await fetch(searchUrl, {
-      method: "GET",
-      headers: {
-        "x-rapidapi-key": process.env.RAPIDAPI_KEY,
-        "x-rapidapi-host": "real-time-amazon-data.p.rapidapi.com",
-      },
-    });
+      logger.info("Audio transcribed", { transcriptLength: transcript.length });
+      logger.debug("Transcript", { transcript });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(
-        `Amazon Product Search API error: ${response.status} - ${errorText}`
+      const session = await loadSession(sessionStore, sessionId, {
+        apiKey: apiKeyOf(req),
+        messageHistory,
+      });
+      tagUsage({ sessionId: session.id });
+      const replyLanguage = resolveLanguage(req, session, transcript);
+      const context = buildAgentContext(req, session);
+      const response = await getMessageFromAgent(
+        transcript,
+        getSessionHistory(session),
+        { context, language: replyLanguage }
       );
-      throw new Error(`Amazon Product Search API error: ${response.status}`);
-    }
+      tagUsage({ intent: response.intent });
+      recordIntent(response.intent);
 
-    const data = await response.json();
+      // Handle error responses
+      if (response.error) {
+        return sendError(res, 400, {
+          error: response.error,
+          message: response.message,
+          details: response.details || null,
+          language: response.language,
+          marketplace: context.marketplace,
+          transcript,
+        });
+      }
+
+      session.orderFlow = response.orderFlow || null;
+      session.language = replyLanguage;
+      session.marketplace = context.marketplace;
+      await recordTurn(
+        sessionStore,
+        session,
+        transcript,
+        response.message,
+        response.results
+      );
 
-    // Validate response data
-    if (!data || typeof data !== "object") {
-      throw new Error("Invalid response format from Amazon Product Search API");
+      res.status(200).json({
+        success: true,
+        sessionId: session.id,
+        transcript,
+        intent: response.intent,
+        message: response.message,
+        language: response.language,
+        marketplace: context.marketplace,
+        data: response.recommendations || null,
+        query: response.query || null,
+        constraints: response.constraints || null,
+        comparison: response.comparison || null,
+        details: response.details || null,
+        watch: response.watch || null,
+        cart: response.cart || null,
+        order: response.order || null,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error("Voice endpoint error", { error });
+      sendError(res, 500, {
+        error: "Server error",
+        message: "Failed to process your voice request",
+        details: error.message,
+      });
     }
+  }
+);
+
+// Product search endpoint using the configured product source
+app.post(
+  "/search-products",
+  validate("POST /search-products"),
+  async (req, res) => {
+    try {
+      const { query } = req.body;
 
-    // Transform products to match frontend expectations
-    const transformedProducts =
-      data?.data?.products?.slice(0, 10).map((product, idx) => ({
+      const productSource = getProductSource();
+      const marketplace = resolveMarketplace(req);
+      logger.info("Product search", {
+        source: productSource.name,
+        marketplace,
+      });
+      logger.debug("Product search query", { query });
+
+      const products = await searchProductSource(query, { marketplace });
+
+      // Transform products to match frontend expectations
+      const transformedProducts = products.slice(0, 10).map((product, idx) => ({
         asin: product.asin,
-        image: product.product_photo || "",
-        title: product.product_title,
-        price: product.product_price,
-        rating: product.product_star_rating || "",
-        link:
-          product.product_url || `https://www.amazon.com/dp/${product.asin}`,
+        id: product.id,
+        image: product.image || "",
+        title: product.title,
+        price: product.price,
+        currency: product.currency,
+        rating: product.rating !== null ? String(product.rating) : "",
+        link: product.link,
         rank: idx + 1,
-      })) || [];
+      }));
 
-    console.log(
-      `Successfully fetched ${transformedProducts.length} products from Amazon (limited to 10)`
-    );
+      logger.info("Product search finished", {
+        source: productSource.name,
+        count: transformedProducts.length,
+      });
 
-    // Return transformed products
-    res.json({
-      success: true,
-      data: {
-        products: transformedProducts,
-      },
-    });
-  } catch (error) {
-    console.error("Amazon product search endpoint error:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch Amazon products",
-      message: "Could not retrieve products from the Amazon search API",
-      details: error.message,
-    });
+      // Return transformed products
+      res.json({
+        success: true,
+        data: {
+          marketplace,
+          products: transformedProducts,
+        },
+      });
+    } catch (error) {
+      logger.error("Product search endpoint error", { error });
+      sendError(res, 500, {
+        error: "Failed to fetch products",
+        message: "Could not retrieve products from the product search API",
+        details: error.message,
+      });
+    }
   }
-});
+);
 
 // Product offers endpoint using new API
-app.get("/product-offers", async (req, res) => {
-  try {
-    const productId = req.query.product_id;
+app.get(
+  "/product-offers",
+  validate("GET /product-offers"),
+  async (req, res) => {
+    try {
+      const productId = req.query.product_id;
+      const marketplace = resolveMarketplace(req);
+      logger.info("Product offers", { productId, marketplace });
 
-    // Validate product_id parameter
-    if (!productId) {
-      return res.status(400).json({
-        error: "Missing product_id parameter",
-        message: "Please provide a 'product_id' query parameter",
+      const { offers, raw } = await getProductOffers(productId, {
+        marketplace,
       });
-    }
 
-    if (typeof productId !== "string") {
-      return res.status(400).json({
-        error: "Invalid product_id parameter",
-        message: "Product ID parameter must be a string",
+      res.json({
+        success: true,
+        marketplace,
+        data: raw,
+        offers,
       });
-    }
-
-    // Check for required environment variables
-    if (!process.env.RAPIDAPI_KEY) {
-      console.error("Missing required environment variables");
-      return res.status(500).json({
-        error: "Configuration error",
-        message: "Server configuration is incomplete",
+    } catch (error) {
+      logger.error("Product offers endpoint error", { error });
+      sendError(res, 500, {
+        error: "Failed to fetch product offers",
+        message: "Could not retrieve product offers from the API",
+        details: error.message,
       });
     }
+  }
+);
 
-    const url = `https://real-time-product-search.p.rapidapi.com/product-offers-v2?product_id=${encodeURIComponent(
-      productId
-    )}&page=1&country=us&language=en`;
-
-    console.log(`Fetching product offers for: ${productId}`);
+// Full product details: description, feature bullets, specs, variants,
+// images and availability, in the same product model search returns
+app.get(
+  "/products/:asin",
+  validate("GET /products/:asin"),
+  async (req, res) => {
+    const productId = req.params.asin;
 
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        "x-rapidapi-key": process.env.RAPIDAPI_KEY,
-        "x-rapidapi-host": "real-time-product-search.p.rapidapi.com",
-      },
-    });
+    try {
+      const details = await getProductDetails(productId, {
+        marketplace: resolveMarketplace(req),
+      });
+      if (!details) {
+        return sendError(res, 404, {
+          error: "Product not found",
+          message: `No product found for ${productId}`,
+        });
+      }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(
-        `Product Offers API error: ${response.status} - ${errorText}`
-      );
-      throw new Error(`Product Offers API error: ${response.status}`);
+      res.json({ success: true, data: details });
+    } catch (error) {
+      logger.error("Product details endpoint error", { error });
+      sendError(res, 500, {
+        error: "Failed to fetch product details",
+        message: "Could not retrieve product details from the API",
+        details: error.message,
+      });
     }
+  }
+);
 
-    const data = await response.json();
+// Pros, cons, complaints and sentiment summarized from customer reviews
+app.get(
+  "/products/:asin/reviews/summary",
+  validate("GET /products/:asin/reviews/summary"),
+  async (req, res) => {
+    const productId = req.params.asin;
 
-    // Validate response data
-    if (!data || typeof data !== "object") {
-      throw new Error("Invalid response format from Product Offers API");
+    try {
+      const summary = await getReviewSummary(productId, {
+        marketplace: resolveMarketplace(req),
+      });
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      logger.error("Review summary endpoint error", { error });
+      sendError(res, 500, {
+        error: "Failed to summarize reviews",
+        message: "Could not retrieve or summarize product reviews",
+        details: error.message,
+      });
     }
+  }
+);
 
-    console.log(`Successfully fetched product offers`);
+// Price watches: alert a user's webhook when a product reaches a target
+app.post("/watches", validate("POST /watches"), async (req, res) => {
+  try {
+    const watch = await createWatch(watchStore, {
+      apiKey: apiKeyOf(req),
+      userId: req.body.userId,
+      productId: req.body.productId,
+      title: req.body.title,
+      marketplace: resolveMarketplace(req),
+      targetPrice: req.body.targetPrice,
+    });
+    res.status(201).json({ success: true, data: watch });
+  } catch (error) {
+    logger.error("Price watch creation error", { error });
+    sendError(res, 500, {
+      error: "Failed to create price watch",
+      message: error.message,
+    });
+  }
+});
+
+app.get("/watches", validate("GET /watches"), async (req, res) => {
+  try {
     res.json({
       success: true,
-      data: data,
+      data: await listWatches(watchStore, {
+        apiKey: apiKeyOf(req),
+        userId: req.query.userId,
+      }),
     });
   } catch (error) {
-    console.error("Product offers endpoint error:", error);
-    res.status(500).json({
-      error: "Failed to fetch product offers",
-      message: "Could not retrieve product offers from the API",
-      details: error.message,
+    logger.error("Price watch list error", { error });
+    sendError(res, 500, {
+      error: "Failed to list price watches",
+      message: error.message,
     });
   }
 });
 
-// Add to app.js (before the 404 handler)
-app.post("/support", async (req, res) => {
-  try {
-    // Validate request body
-    if (!req.body) {
-      return res.status(400).json({
-        error: "Missing request body",
-        message: "Please provide problem description and/or image",
+app.delete(
+  "/watches/:id",
+  validate("DELETE /watches/:id"),
+  async (req, res) => {
+    try {
+      const deleted = await deleteWatch(
+        watchStore,
+        { apiKey: apiKeyOf(req), userId: req.query.userId },
+        req.params.id
+      );
+      if (!deleted) {
+        return sendError(res, 404, {
+          error: "Price watch not found",
+          message: `No price watch ${req.params.id} for this user`,
+        });
+      }
+      res.json({ success: true, deleted: req.params.id });
+    } catch (error) {
+      logger.error("Price watch delete error", { error });
+      sendError(res, 500, {
+        error: "Failed to delete price watch",
+        message: error.message,
       });
     }
+  }
+);
 
-    const { problemDescription, imageBase64, messageHistory = [] } = req.body;
+// Run the price watch poller now instead of waiting for the interval
+app.post(
+  "/admin/watches/check",
+  requireAdmin,
+  validate("POST /admin/watches/check"),
+  async (req, res) => {
+    try {
+      res.json({ success: true, ...(await priceWatcher.checkAll()) });
+    } catch (error) {
+      logger.error("Price watch check error", { error });
+      sendError(res, 500, {
+        error: "Failed to check price watches",
+        message: error.message,
+      });
+    }
+  }
+);
 
-    console.log("Support request received:", {
-      problemDescription,
-      hasImage: !!imageBase64,
-      messageHistoryLength: messageHistory.length,
-      messageHistory: messageHistory,
-    });
-    // Validate at least one input is provided
-    if (!problemDescription && !imageBase64) {
-      return res.status(400).json({
-        error: "Missing input",
-        message: "Please provide either a problem description or an image",
+// The ?userId a cart, wishlist or ticket route is about, under the
+// caller's key
+function listOwner(req) {
+  return { apiKey: apiKeyOf(req), userId: req.query.userId };
+}
+
+// Cart and wishlist share routes: /cart and /wishlist
+for (const listName of LISTS) {
+  app.get(`/${listName}`, validate(`GET /${listName}`), async (req, res) => {
+    try {
+      const lists = await getLists(cartStore, listOwner(req));
+      const summary = summarizeList(lists[listName]);
+      res.json({
+        success: true,
+        data: summary,
+        message: describeList(listName, summary),
+      });
+    } catch (error) {
+      logger.error("List read error", { list: listName, error });
+      sendError(res, 500, {
+        error: `Failed to read ${listName}`,
+        message: error.message,
       });
     }
+  });
 
-    let textResponse = null;
-    let imageResponse = null;
+  app.post(
+    `/${listName}/items`,
+    validate(`POST /${listName}/items`),
+    async (req, res) => {
+      const { userId, productId, quantity } = req.body;
 
-    // Process text if provided
-    if (problemDescription) {
       try {
-        textResponse = await processSupportTextWithGemini(
-          problemDescription,
-          messageHistory
+        const product = await getProductDetails(productId, {
+          marketplace: resolveMarketplace(req),
+        });
+        if (!product) {
+          return sendError(res, 404, {
+            error: "Product not found",
+            message: `No product found for ${productId}`,
+          });
+        }
+
+        const items = await addItem(
+          cartStore,
+          { apiKey: apiKeyOf(req), userId },
+          listName,
+          product,
+          quantity
         );
+        res.status(201).json({ success: true, data: summarizeList(items) });
       } catch (error) {
-        console.error("Text processing failed:", error);
-        textResponse = {
-          error: "Text processing failed",
-          message: "Could not analyze your problem description",
-          details: error.message,
-        };
+        logger.error("List add error", { list: listName, error });
+        sendError(res, 500, {
+          error: `Failed to add to ${listName}`,
+          message: error.message,
+        });
       }
     }
+  );
 
-    // Process image if provided
-    if (imageBase64) {
+  app.delete(
+    `/${listName}/items/:productId`,
+    validate(`DELETE /${listName}/items/:productId`),
+    async (req, res) => {
       try {
-        imageResponse = await processSupportImageWithGroq(
-          imageBase64,
-          problemDescription
+        const removed = await removeItem(
+          cartStore,
+          listOwner(req),
+          listName,
+          req.params.productId
         );
+        if (!removed) {
+          return sendError(res, 404, {
+            error: "Item not found",
+            message: `${req.params.productId} is not in this ${listName}`,
+          });
+        }
+
+        const lists = await getLists(cartStore, listOwner(req));
+        res.json({ success: true, data: summarizeList(lists[listName]) });
       } catch (error) {
-        console.error("Image processing failed:", error);
-        imageResponse = {
-          error: "Image processing failed",
-          message: "Could not analyze your image",
-          details: error.message,
-        };
+        logger.error("List remove error", { list: listName, error });
+        sendError(res, 500, {
+          error: `Failed to remove from ${listName}`,
+          message: error.message,
+        });
       }
     }
+  );
 
+  app.delete(
+    `/${listName}`,
+    validate(`DELETE /${listName}`),
+    async (req, res) => {
+      try {
+        const removed = await clearList(cartStore, listOwner(req), listName);
+        res.json({ success: true, removed });
+      } catch (error) {
+        logger.error("List clear error", { list: listName, error });
+        sendError(res, 500, {
+          error: `Failed to clear ${listName}`,
+          message: error.message,
+        });
+      }
+    }
+  );
+}
+
+// Open a ticket for the conversation, or add to the session's ticket if
+// one is still open so a caller who escalates twice gets one reference
+async function escalateToTicket(req, session, history, turn) {
+  const messages = [
+    ...history,
+    { role: "user", content: turn.problemDescription },
+    ...(turn.reply ? [{ role: "assistant", content: turn.reply }] : []),
+  ];
+
+  const owner = {
+    apiKey: apiKeyOf(req),
+    userId: req.body.userId || session.id,
+  };
+  const existing = session.ticketId
+    ? await getTicket(ticketStore, owner, session.ticketId)
+    : null;
+  if (isTicketOpen(existing)) {
+    const updated = await appendToTicket(
+      ticketStore,
+      existing,
+      messages.slice(-2)
+    );
+    return {
+      data: publicTicket(updated),
+      message: describeTicket(updated, { existing: true }),
+    };
+  }
+
+  const created = await createTicket(ticketStore, {
+    ...owner,
+    sessionId: session.id,
+    subject: turn.problemDescription,
+    reason: turn.support?.requiresHuman ? "agent_escalation" : "user_request",
+    nextSteps: Array.isArray(turn.support?.nextSteps)
+      ? turn.support.nextSteps
+      : [],
+    transcript: messages,
+    ...classifyProblem(turn.problemDescription, turn.support || {}),
+  });
+  session.ticketId = created.id;
+  return { data: publicTicket(created), message: describeTicket(created) };
+}
+
+app.post("/support", validate("POST /support"), async (req, res) => {
+  try {
+    const { problemDescription, imageBase64, messageHistory, sessionId } =
+      req.body;
+
+    // Audio options were checked with the body; this fills in the defaults
+    const { options: audioOptions } = parseAudioOptions(req.body.audio);
+
+    const session = await loadSession(sessionStore, sessionId, {
+      apiKey: apiKeyOf(req),
+      messageHistory,
+    });
+    const history = getSessionHistory(session);
+    tagUsage({ sessionId: session.id, intent: "support" });
+    const language = resolveLanguage(req, session, problemDescription);
+
+    recordIntent("support");
+    logger.info("Support request", {
+      descriptionLength: problemDescription?.length || 0,
+      hasImage: !!imageBase64,
+      historyLength: history.length,
+    });
+    logger.debug("Support problem description", { problemDescription });
+
+    // Streaming clients get the text reply token by token as SSE
+    const stream = wantsStream(req) ? openEventStream(res) : null;
+
+    let textResponse = null;
+    let imageResponse = null;
+    let support = null;
+    let ticket = null;
+
+    // Process text if provided
     if (problemDescription) {
       try {
-        textResponse = await processSupportTextWithGemini(
+        support = await processSupportTextWithGemini(
           problemDescription,
-          messageHistory
+          history,
+          {
+            onToken: stream
+              ? (text) => stream.send("token", { text })
+              : undefined,
+            language,
+          }
         );
-        if (typeof textResponse === "object") {
-          textResponse = textResponse.response || JSON.stringify(textResponse);
-        }
+        textResponse = support.response;
       } catch (error) {
+        logger.error("Text processing failed", { error });
         textResponse = "Text processing failed";
       }
     }
 
+    // Escalate to a person when the LLM says so or the user asks for one
+    if (
+      problemDescription &&
+      (support?.requiresHuman || asksForHuman(problemDescription))
+    ) {
+      try {
+        ticket = await escalateToTicket(req, session, history, {
+          problemDescription,
+          support,
+          reply: textResponse,
+        });
+        textResponse = `${textResponse} ${await localizeText(
+          ticket.message,
+          language
+        )}`;
+        stream?.send("ticket", { ticket: ticket.data });
+      } catch (error) {
+        logger.error("Ticket creation failed", { error });
+      }
+    }
+
+    // Process image if provided
     if (imageBase64) {
       try {
         imageResponse = await processSupportImageWithGroq(
@@ -438,52 +1072,264 @@ app.post("/support", async (req, res) => {
             imageResponse.description || JSON.stringify(imageResponse);
         }
       } catch (error) {
+        logger.error("Image processing failed", { error });
         imageResponse = error.message || "Image processing failed";
       }
+      stream?.send("image", { imageAnalysis: imageResponse });
+    }
+
+    if (problemDescription) {
+      session.language = language;
     }
+    await recordTurn(
+      sessionStore,
+      session,
+      problemDescription || "[image upload]",
+      [textResponse, imageResponse].filter(Boolean).join("\n")
+    );
 
     // Combine responses
     const combinedResponse = {
       success: true,
+      sessionId: session.id,
       timestamp: new Date().toISOString(),
       textAnalysis: problemDescription ? textResponse : null,
       imageAnalysis: imageBase64 ? imageResponse : null,
+      language,
+      requiresHuman: !!ticket || !!support?.requiresHuman,
+      nextSteps: Array.isArray(support?.nextSteps) ? support.nextSteps : [],
+      citations: support?.citations || [],
+      ticket: ticket ? ticket.data : null,
+      audio: audioOptions
+        ? await buildAudioReply(
+            req,
+            textResponse || imageResponse,
+            audioOptions
+          )
+        : undefined,
     };
 
+    if (stream) {
+      stream.send("done", combinedResponse);
+      return stream.close();
+    }
     res.status(200).json(combinedResponse);
   } catch (error) {
-    console.error("Support endpoint error:", error);
-    res.status(500).json({
+    logger.error("Support endpoint error", { error });
+    const errorBody = errorEnvelope({
       error: "Server error",
       message: "Failed to process your support request",
       details: error.message,
     });
+    if (res.headersSent) {
+      return sendStreamError(res, errorBody);
+    }
+    sendError(res, 500, errorBody);
+  }
+});
+
+// Support tickets: callers look up their own ticket by reference, staff
+// list and update them through the admin routes
+app.get("/tickets/:id", validate("GET /tickets/:id"), async (req, res) => {
+  try {
+    const ticket = isValidTicketId(req.params.id)
+      ? await getTicket(ticketStore, listOwner(req), req.params.id)
+      : null;
+    if (!ticket) {
+      return sendError(res, 404, {
+        error: "Ticket not found",
+        message: `No ticket ${req.params.id} for this user`,
+      });
+    }
+    res.json({ success: true, data: publicTicket(ticket) });
+  } catch (error) {
+    logger.error("Ticket lookup error", { error });
+    sendError(res, 500, {
+      error: "Failed to load ticket",
+      message: error.message,
+    });
   }
 });
 
+app.get(
+  "/admin/tickets",
+  requireAdmin,
+  validate("GET /admin/tickets"),
+  async (req, res) => {
+    try {
+      const tickets = await listTickets(ticketStore, {
+        userId: req.query.userId,
+        status: req.query.status,
+        priority: req.query.priority,
+        category: req.query.category,
+      });
+      res.json({ success: true, count: tickets.length, data: tickets });
+    } catch (error) {
+      logger.error("Ticket list error", { error });
+      sendError(res, 500, {
+        error: "Failed to list tickets",
+        message: error.message,
+      });
+    }
+  }
+);
+
+app.patch(
+  "/admin/tickets/:id",
+  requireAdmin,
+  validate("PATCH /admin/tickets/:id"),
+  async (req, res) => {
+    try {
+      const ticket = isValidTicketId(req.params.id)
+        ? await updateTicket(ticketStore, req.params.id, req.body)
+        : null;
+      if (!ticket) {
+        return sendError(res, 404, {
+          error: "Ticket not found",
+          message: `No ticket ${req.params.id}`,
+        });
+      }
+      res.json({ success: true, data: ticket });
+    } catch (error) {
+      logger.error("Ticket update error", { error });
+      sendError(res, 500, {
+        error: "Failed to update ticket",
+        message: error.message,
+      });
+    }
+  }
+);
+
+// Serve synthesized replies handed out with `delivery: "url"`
+app.get("/audio/:clipId", validate("GET /audio/:clipId"), (req, res) => {
+  const clip = audioClips.get(req.params.clipId);
+  if (!clip) {
+    return sendError(res, 404, {
+      error: "Audio not found",
+      message: "This audio clip does not exist or has expired",
+    });
+  }
+
+  res.setHeader("Content-Type", clip.mimeType);
+  res.setHeader("Cache-Control", "private, max-age=600");
+  res.send(clip.buffer);
+});
+
+// Tokens, upstream calls and estimated cost for the caller's API key, or
+// for one of its sessions with ?sessionId=
+app.get("/usage", validate("GET /usage"), (req, res) => {
+  const keyId = req.apiClient?.id || "anonymous";
+  if (!req.query.sessionId) {
+    return res.json({
+      success: true,
+      data: getKeyUsage(keyId, {
+        dailyBudgetUsd: req.apiClient?.dailyBudgetUsd,
+      }),
+    });
+  }
+
+  const usage = getSessionUsage(req.query.sessionId, keyId);
+  if (!usage) {
+    return sendError(res, 404, {
+      error: "Session not found",
+      message: `No usage recorded for session ${req.query.sessionId}`,
+    });
+  }
+  res.json({ success: true, data: usage });
+});
+
+// Usage across every API key
+app.get(
+  "/admin/usage",
+  requireAdmin,
+  validate("GET /admin/usage"),
+  (req, res) => {
+    res.json({ success: true, data: getUsageOverview() });
+  }
+);
+
+// Cache hit/miss stats for product search and offers
+app.get(
+  "/admin/cache",
+  requireAdmin,
+  validate("GET /admin/cache"),
+  (req, res) => {
+    res.json({
+      success: true,
+      caches: getCacheStats(),
+    });
+  }
+);
+
+// Purge every cache, or one with ?name=search
+app.delete(
+  "/admin/cache",
+  requireAdmin,
+  validate("DELETE /admin/cache"),
+  (req, res) => {
+    const { name } = req.query;
+
+    const purged = purgeCaches(name);
+    if (!purged) {
+      return sendError(res, 404, {
+        error: "Cache not found",
+        message: `There is no cache named '${name}'`,
+      });
+    }
+
+    logger.info("Purged caches", { purged });
+    res.json({
+      success: true,
+      purged,
+    });
+  }
+);
+
 // Handle 404 for unknown routes
 app.use((req, res) => {
-  res.status(404).json({
+  sendError(res, 404, {
     error: "Route not found",
     message: `The route ${req.method} ${req.path} does not exist`,
   });
 });
 
+// Error handling middleware. It has to come after the routes to see their
+// errors. Body parser failures such as malformed JSON or an oversized body
+// carry a 4xx status and are reported like validation errors.
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status < 500) {
+    return sendError(res, status, {
+      error: "Invalid request",
+      message: err.message,
+      details: [{ in: "body", path: "", message: err.message }],
+    });
+  }
+
+  logger.error("Unhandled error", { error: err });
+  sendError(res, 500, {
+    error: "Internal server error",
+    message: "Something went wrong processing your request",
+  });
+});
+
 // Graceful shutdown handling
 process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
+  logger.info("SIGTERM received, shutting down gracefully");
   process.exit(0);
 });
 
 process.on("SIGINT", () => {
-  console.log("SIGINT received, shutting down gracefully");
+  logger.info("SIGINT received, shutting down gracefully");
   process.exit(0);
 });
 
 // Start server
 app.listen(port, () => {
-  console.log(`Server listening at http://localhost:${port}`);
-  console.log(`Health check available at http://localhost:${port}/health`);
+  logger.info("Server listening", {
+    url: `http://localhost:${port}`,
+    health: `http://localhost:${port}/health`,
+  });
 });
 
 export default app;
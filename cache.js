@@ -0,0 +1,131 @@
+// Every cache created here, by name, for stats and admin purges
+const registry = new Map();
+
+// Lowercased, whitespace-collapsed query so "Wireless  Headphones" and
+// "wireless headphones" share an entry
+export function normalizeQuery(query) {
+  return String(query || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Stable key from parts that may include objects; object keys are sorted
+// so parameter order never splits the cache
+export function buildCacheKey(...parts) {
+  return JSON.stringify(parts, (key, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .map((name) => [name, value[name]])
+        )
+      : value
+  );
+}
+
+// In-memory cache with a TTL per entry and LRU eviction past maxEntries.
+// Map keeps insertion order, so re-inserting on read keeps the least
+// recently used entry first. A maxEntries or TTL of 0 (or one that isn't a
+// number) turns the cache off: nothing is stored, though concurrent misses
+// still share one load.
+export function createTtlCache({ name, ttlMs, maxEntries }) {
+  const enabled = maxEntries > 0 && ttlMs > 0;
+  const entries = new Map();
+  const inFlight = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value) {
+    if (!enabled) {
+      return;
+    }
+    entries.delete(key);
+    while (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  const cache = {
+    name,
+    get,
+    set,
+    // Return the cached value or load it once; concurrent misses for the
+    // same key share one upstream call. Failures are not cached.
+    async wrap(key, loader) {
+      const cached = get(key);
+      if (cached !== undefined) {
+        counters.hits++;
+        return cached;
+      }
+
+      counters.misses++;
+      if (inFlight.has(key)) {
+        return inFlight.get(key);
+      }
+
+      const pending = (async () => {
+        try {
+          const value = await loader();
+          set(key, value);
+          return value;
+        } finally {
+          inFlight.delete(key);
+        }
+      })();
+      inFlight.set(key, pending);
+      return pending;
+    },
+    purge() {
+      const removed = entries.size;
+      entries.clear();
+      return removed;
+    },
+    stats() {
+      const lookups = counters.hits + counters.misses;
+      return {
+        name,
+        enabled,
+        size: entries.size,
+        maxEntries,
+        ttlSeconds: ttlMs / 1000,
+        ...counters,
+        hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : 0,
+      };
+    },
+  };
+
+  registry.set(name, cache);
+  return cache;
+}
+
+export function getCacheStats() {
+  return [...registry.values()].map((cache) => cache.stats());
+}
+
+// Purge one cache by name, or all of them. Returns null for unknown names.
+export function purgeCaches(name) {
+  if (name) {
+    const cache = registry.get(name);
+    return cache ? { [name]: cache.purge() } : null;
+  }
+
+  return Object.fromEntries(
+    [...registry.values()].map((cache) => [cache.name, cache.purge()])
+  );
+}
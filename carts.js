@@ -0,0 +1,255 @@
+import path from "path";
+import { createMemoryStore, createFileStore } from "./json_store.js";
+import { parsePrice } from "./product_ranking.js";
+import { formatMoney } from "./marketplaces.js";
+
+export const LISTS = ["cart", "wishlist"];
+
+const MAX_QUANTITY = 99;
+const MAX_ITEMS_PER_LIST = Number(process.env.CART_MAX_ITEMS || 50);
+
+// Items read aloud before the rest are summarized as "and N more"
+const MAX_SPOKEN_ITEMS = 5;
+
+// How a transcript names the cart: "my cart" when nothing else says it is
+// a cart request, any mention once the intent classifier has
+const MY_CART = /\bmy (shopping )?(cart|basket)\b/;
+const CART_MENTION = /\b(my|the|your|to|in|from) (shopping )?(cart|basket)\b/;
+
+const SPOKEN_NUMBERS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+};
+
+// Carts and wishlists keyed by user, CART_STORE=file to keep them across
+// restarts
+export function createCartStore() {
+  if (process.env.CART_STORE === "file") {
+    return createFileStore(
+      process.env.CART_FILE || path.resolve(".data", "carts.json"),
+      "cart"
+    );
+  }
+  return createMemoryStore();
+}
+
+// Lists belong to a userId under the API key that saved them, since each
+// key names its own users: another key's "alice" is someone else. `owner`
+// is { apiKey, userId }, with a null apiKey when API keys are turned off.
+function listKey({ apiKey = null, userId }) {
+  return apiKey === null ? userId : `${apiKey}:${userId}`;
+}
+
+function emptyLists({ apiKey = null, userId }) {
+  return { apiKey, userId, cart: [], wishlist: [], updatedAt: null };
+}
+
+export async function getLists(store, owner) {
+  return (await store.get(listKey(owner))) || emptyLists(owner);
+}
+
+async function saveLists(store, lists) {
+  lists.updatedAt = new Date().toISOString();
+  await store.set(listKey(lists), lists);
+  return lists;
+}
+
+// Line item from a normalized product. The total is computed from the
+// parsed price, so items keep both the display price and its value.
+function toItem(product, quantity) {
+  const currency = product.currency || "USD";
+  const priceValue = product.priceValue ?? parsePrice(product.price, currency);
+
+  return {
+    productId: product.id,
+    asin: product.asin || null,
+    title: product.title,
+    price: product.price || null,
+    priceValue,
+    currency,
+    quantity,
+    image: product.image || null,
+    link: product.link || null,
+    addedAt: new Date().toISOString(),
+  };
+}
+
+// Add a product, or bump its quantity if it is already on the list.
+// Wishlists hold one of each product.
+export async function addItem(store, owner, listName, product, quantity = 1) {
+  const lists = await getLists(store, owner);
+  const items = lists[listName];
+  const existing = items.find((item) => item.productId === product.id);
+
+  if (existing) {
+    if (listName === "cart") {
+      existing.quantity = Math.min(existing.quantity + quantity, MAX_QUANTITY);
+    }
+  } else {
+    if (items.length >= MAX_ITEMS_PER_LIST) {
+      throw new Error(
+        `List limit reached: at most ${MAX_ITEMS_PER_LIST} items per ${listName}`
+      );
+    }
+    items.push(
+      toItem(
+        product,
+        listName === "cart" ? Math.min(quantity, MAX_QUANTITY) : 1
+      )
+    );
+  }
+
+  await saveLists(store, lists);
+  return lists[listName];
+}
+
+// Remove a product from the list. Returns the removed item, or null.
+export async function removeItem(store, owner, listName, productId) {
+  const lists = await getLists(store, owner);
+  const index = lists[listName].findIndex(
+    (item) => item.productId === productId
+  );
+  if (index === -1) {
+    return null;
+  }
+
+  const [removed] = lists[listName].splice(index, 1);
+  await saveLists(store, lists);
+  return removed;
+}
+
+export async function clearList(store, owner, listName) {
+  const lists = await getLists(store, owner);
+  const removed = lists[listName].length;
+  lists[listName] = [];
+  await saveLists(store, lists);
+  return removed;
+}
+
+// Item count and subtotal. Items without a parseable price, or priced in
+// another currency than the first item, are counted separately instead of
+// silently adding nothing or mixing currencies.
+export function summarizeList(items) {
+  const currency = items[0]?.currency || "USD";
+  const priced = items.filter(
+    (item) => item.priceValue !== null && item.currency === currency
+  );
+  const subtotal = priced.reduce(
+    (sum, item) => sum + item.priceValue * item.quantity,
+    0
+  );
+
+  return {
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: Number(subtotal.toFixed(2)),
+    currency,
+    unpricedItems: items.length - priced.length,
+  };
+}
+
+// The list read back for voice, e.g. "You have 3 items in your cart: 2 of
+// the Sony WH-CH520 at $38.00 each and the JBL Tune 520BT at $49.95. Your
+// total is $125.95."
+export function describeList(listName, summary) {
+  const { items } = summary;
+  if (items.length === 0) {
+    return `Your ${listName} is empty.`;
+  }
+
+  const spoken = items.slice(0, MAX_SPOKEN_ITEMS).map((item) => {
+    const price = item.price ? ` at ${item.price}` : "";
+    return item.quantity > 1
+      ? `${item.quantity} of the ${item.title}${price} each`
+      : `the ${item.title}${price}`;
+  });
+  if (items.length > MAX_SPOKEN_ITEMS) {
+    spoken.push(`${items.length - MAX_SPOKEN_ITEMS} more`);
+  }
+  const listed =
+    spoken.length > 1
+      ? `${spoken.slice(0, -1).join(", ")} and ${spoken[spoken.length - 1]}`
+      : spoken[0];
+
+  const count = `${summary.itemCount} item${
+    summary.itemCount === 1 ? "" : "s"
+  }`;
+  let text = `You have ${count} in your ${listName}: ${listed}.`;
+  if (listName === "cart") {
+    text += ` Your total is ${formatMoney(summary.subtotal, summary.currency)}`;
+    text +=
+      summary.unpricedItems > 0
+        ? `, not counting ${summary.unpricedItems} item${
+            summary.unpricedItems === 1 ? "" : "s"
+          } without a price.`
+        : ".";
+  }
+  return text;
+}
+
+// Recognize spoken cart and wishlist commands: "add the second one to my
+// cart", "put it on my wishlist", "remove the Sony from my cart", "what's
+// in my cart", "empty my wishlist". Returns { action, list, quantity } or
+// null. Only "my cart" or "my basket" names the cart, since carts and
+// baskets are also things people shop for ("golf carts", "a basket weave
+// chair"), unless `anyCart` says the transcript is already known to be
+// about the cart.
+export function parseCartCommand(transcript, { anyCart = false } = {}) {
+  if (!transcript || typeof transcript !== "string") {
+    return null;
+  }
+
+  const lower = transcript.toLowerCase();
+  const list =
+    /\b(wish ?list|wish-list)\b|\bsave (it|them|that) for later\b/.test(lower)
+      ? "wishlist"
+      : (anyCart ? CART_MENTION : MY_CART).test(lower)
+      ? "cart"
+      : null;
+  if (!list) {
+    return null;
+  }
+
+  let action = null;
+  if (
+    /\b(clear|empty|delete everything|remove everything|start over)\b/.test(
+      lower
+    )
+  ) {
+    action = "clear";
+  } else if (/\b(remove|delete|take (out|off)|drop)\b/.test(lower)) {
+    action = "remove";
+  } else if (/\b(add|put|throw|save|move|i'?ll take)\b/.test(lower)) {
+    action = "add";
+  } else if (
+    /\b(what'?s|what is|show|read|list|tell me|how much|total|check)\b/.test(
+      lower
+    )
+  ) {
+    action = "list";
+  }
+  if (!action) {
+    return null;
+  }
+
+  const count = lower.match(
+    /\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten) (of (them|those|these|it|the)|units?|pieces?|more)\b/
+  );
+  const quantity = count
+    ? Number(count[1]) || SPOKEN_NUMBERS[count[1]] || 1
+    : 1;
+
+  return {
+    action,
+    list,
+    quantity: Math.min(Math.max(quantity, 1), MAX_QUANTITY),
+  };
+}
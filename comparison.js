@@ -0,0 +1,219 @@
+import { estimateDeliveryDays } from "./product_ranking.js";
+import { formatMoney } from "./marketplaces.js";
+
+// Feature words worth listing as specs when a title mentions them
+const FEATURE_WORDS = [
+  "wireless",
+  "bluetooth",
+  "wired",
+  "noise cancelling",
+  "noise canceling",
+  "waterproof",
+  "water resistant",
+  "over-ear",
+  "on-ear",
+  "in-ear",
+  "gaming",
+  "portable",
+  "rechargeable",
+  "fast charging",
+  "usb-c",
+  "renewed",
+];
+
+// Short name for speech: the brand, or the first few words of the title
+function shortName(product) {
+  return product.brand || product.title.split(/\s+/).slice(0, 3).join(" ");
+}
+
+// Key specs from the detail page when there is one, otherwise from the
+// listing title: the segments after the product name ('15.6" 144Hz',
+// "RTX 4050") plus recognised feature words
+export function extractSpecs(product) {
+  const specs = Object.entries(product.specs || {});
+  if (specs.length > 0) {
+    return specs.map(([name, value]) => `${name}: ${value}`);
+  }
+
+  const title = product.title || "";
+  const lower = title.toLowerCase();
+  const segments = title
+    .split(/\s*(?:,|\s-\s|\||\()\s*/)
+    .slice(1)
+    .map((segment) => segment.replace(/\)$/, "").trim())
+    .filter((segment) => segment && segment.length <= 40);
+  const features = FEATURE_WORDS.filter((word) => lower.includes(word));
+
+  return [...new Set([...segments, ...features])];
+}
+
+function lowestOffer(offers) {
+  const priced = (offers || []).filter((offer) => offer.priceValue !== null);
+  if (priced.length === 0) {
+    return null;
+  }
+  return priced.reduce((best, offer) =>
+    offer.priceValue < best.priceValue ? offer : best
+  );
+}
+
+// Index of the best value, or null when there is nothing to compare or
+// every product ties
+function bestIndex(values, better) {
+  const present = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => value !== null && value !== undefined);
+  if (present.length < 2) {
+    return null;
+  }
+
+  const best = present.reduce((winner, entry) =>
+    better(entry.value, winner.value) ? entry : winner
+  );
+  return present.every(({ value }) => value === best.value) ? null : best.index;
+}
+
+// Side-by-side comparison of products, each given as { product, offers }
+export function buildComparison(items) {
+  const products = items.map(({ product, offers }) => {
+    const cheapest = lowestOffer(offers);
+    const price =
+      cheapest &&
+      (product.priceValue === null || cheapest.priceValue < product.priceValue)
+        ? cheapest.priceValue
+        : product.priceValue;
+
+    return {
+      id: product.id,
+      asin: product.asin,
+      title: product.title,
+      brand: product.brand,
+      name: shortName(product),
+      image: product.image,
+      link: product.link,
+      price: product.price,
+      priceValue: product.priceValue,
+      currency: product.currency || "USD",
+      bestPrice: price,
+      bestOffer: cheapest,
+      offerCount: offers ? offers.length : 0,
+      rating: product.rating,
+      numRatings: product.numRatings,
+      shipping: product.delivery,
+      deliveryDays: estimateDeliveryDays(product.delivery),
+      isPrime: product.isPrime,
+      condition: product.condition,
+      specs: extractSpecs(product),
+    };
+  });
+
+  // Two products from one brand need more than the brand to tell apart
+  const names = products.map((product) => product.name);
+  for (const product of products) {
+    if (names.filter((name) => name === product.name).length > 1) {
+      product.name = product.title.split(/\s+/).slice(0, 2).join(" ");
+    }
+  }
+
+  // Prices in different currencies have no cheapest
+  const oneCurrency =
+    new Set(products.map((product) => product.currency)).size === 1;
+
+  const rows = [
+    {
+      attribute: "price",
+      values: products.map((product) => product.bestPrice),
+      best: oneCurrency
+        ? bestIndex(
+            products.map((product) => product.bestPrice),
+            (a, b) => a < b
+          )
+        : null,
+    },
+    {
+      attribute: "rating",
+      values: products.map((product) => product.rating),
+      best: bestIndex(
+        products.map((product) => product.rating),
+        (a, b) => a > b
+      ),
+    },
+    {
+      attribute: "reviews",
+      values: products.map((product) => product.numRatings),
+      best: bestIndex(
+        products.map((product) => product.numRatings),
+        (a, b) => a > b
+      ),
+    },
+    {
+      attribute: "shipping",
+      values: products.map((product) => product.shipping),
+      best: bestIndex(
+        products.map((product) => product.deliveryDays),
+        (a, b) => a < b
+      ),
+    },
+    {
+      attribute: "specs",
+      values: products.map((product) => product.specs),
+      best: null,
+    },
+  ];
+
+  return { products, rows, verdict: spokenVerdict(products, rows) };
+}
+
+// A couple of sentences a voice user can take in at once, e.g. "The Sony
+// is the cheapest at $38.00, while the Bose is rated highest at 4.6 stars.
+// I'd go with the Bose if the extra cost is worth it, ..."
+export function spokenVerdict(products, rows) {
+  const best = Object.fromEntries(rows.map((row) => [row.attribute, row.best]));
+  const sentences = [];
+
+  if (best.price !== null) {
+    const cheapest = products[best.price];
+    sentences.push(
+      `The ${cheapest.name} is the cheapest at ${formatMoney(
+        cheapest.bestPrice,
+        cheapest.currency
+      )}`
+    );
+  }
+  if (best.rating !== null) {
+    const rated = products[best.rating];
+    const clause = `the ${rated.name} is rated highest at ${rated.rating} stars`;
+    if (sentences.length > 0) {
+      sentences[0] += `, while ${clause}`;
+    } else {
+      sentences.push(clause.charAt(0).toUpperCase() + clause.slice(1));
+    }
+  }
+  if (best.shipping !== null) {
+    sentences.push(`The ${products[best.shipping].name} arrives soonest`);
+  }
+
+  if (sentences.length === 0) {
+    return `These ${products.length} are very close on price, rating and shipping, so go with the features you prefer.`;
+  }
+
+  let pick;
+  if (
+    best.rating !== null &&
+    best.price !== null &&
+    best.rating !== best.price
+  ) {
+    const cheapest = products[best.price];
+    const rated = products[best.rating];
+    // Pay up for the better rated one only when the gap is meaningful
+    pick =
+      rated.rating - (cheapest.rating || 0) >= 0.3
+        ? `I'd go with the ${rated.name} if the extra cost is worth it, otherwise the ${cheapest.name} for value.`
+        : `I'd go with the ${cheapest.name}, it's nearly as well rated for less.`;
+  } else {
+    const winner = products[best.rating ?? best.price ?? best.shipping];
+    pick = `Overall, I'd go with the ${winner.name}.`;
+  }
+
+  return `${sentences.join(". ")}. ${pick}`;
+}
@@ -0,0 +1,511 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { parseArgs } from "util";
+
+// Run a labeled set of transcripts through the intent classifier and report
+// accuracy, a confusion matrix and how well its `confidence` is calibrated.
+//
+//   npm run eval:intents -- --mode fake
+//   npm run eval:intents -- --mode live --out .data/intent_eval/before.json
+//   npm run eval:intents -- --mode recorded --replay .data/intent_eval/before.json
+//   npm run eval:intents -- --mode live --baseline .data/intent_eval/before.json
+//
+// fake answers offline (the canned replies, or LLM_FAKE_RESPONSES), live
+// calls the models configured for the intent task, and recorded replays the
+// raw model replies saved in an earlier results file. Results are written as
+// JSON with no timestamps, so two runs can be diffed directly; --baseline
+// also prints what changed against an earlier run.
+const { values: options } = parseArgs({
+  options: {
+    mode: { type: "string", default: "fake" },
+    dataset: { type: "string", default: path.join("data", "intent_eval.json") },
+    out: { type: "string" },
+    replay: { type: "string" },
+    baseline: { type: "string" },
+    "min-accuracy": { type: "string" },
+  },
+});
+
+const MODES = ["fake", "live", "recorded"];
+const CALIBRATION_BINS = 10;
+
+if (!MODES.includes(options.mode)) {
+  console.error(`--mode must be one of ${MODES.join(", ")}`);
+  process.exit(1);
+}
+if (options.mode === "recorded" && !options.replay) {
+  console.error("--mode recorded needs --replay <results file>");
+  process.exit(1);
+}
+
+// Set before the app modules load: the logger reads LOG_LEVEL once, and
+// LLM_PROVIDER=fake would send live and recorded runs to the fake provider
+process.env.LOG_LEVEL ||= "error";
+if (options.mode === "fake") {
+  process.env.LLM_PROVIDER = "fake";
+} else if (process.env.LLM_PROVIDER === "fake") {
+  delete process.env.LLM_PROVIDER;
+}
+
+const {
+  getTaskConfig,
+  setProvider,
+  createFakeProvider,
+  createGroqProvider,
+  createGeminiProvider,
+  loadFakeResponses,
+} = await import("./llm_client.js");
+const { determineIntent, INTENTS } = await import("./functions.js");
+
+const LIVE_PROVIDERS = {
+  groq: createGroqProvider,
+  gemini: createGeminiProvider,
+};
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+function loadDataset(filePath) {
+  const examples = readJson(filePath);
+  if (!Array.isArray(examples)) {
+    throw new Error(`${filePath} must hold a JSON array of examples`);
+  }
+
+  const ids = new Set();
+  for (const [index, example] of examples.entries()) {
+    const label = example.id || `example ${index + 1}`;
+    if (!example.id || ids.has(example.id)) {
+      throw new Error(`${label} needs a unique id`);
+    }
+    if (!example.transcript || typeof example.transcript !== "string") {
+      throw new Error(`${label} needs a transcript`);
+    }
+    if (!INTENTS.includes(example.expected)) {
+      throw new Error(
+        `${label} expects an unknown intent: ${example.expected}`
+      );
+    }
+    ids.add(example.id);
+  }
+  return examples;
+}
+
+// The example being classified, with the raw replies its LLM calls got
+let current = null;
+
+// Short hash of the system prompt, so results show which prompt they came
+// from and replays can tell when the prompt has changed since recording
+function hashPrompt(messages) {
+  const system = messages.find((message) => message.role === "system");
+  return crypto
+    .createHash("sha256")
+    .update(system?.content || "")
+    .digest("hex")
+    .slice(0, 12);
+}
+
+// Wraps a provider to keep each reply it gives for the current example
+function recordReplies(name, provider) {
+  return {
+    name,
+    async complete(request) {
+      current.promptHash = hashPrompt(request.messages);
+      const result = await provider.complete(request);
+      current.replies.push({
+        provider: name,
+        model: request.model,
+        text: result.text,
+      });
+      return result;
+    },
+  };
+}
+
+// Answers with the replies saved for the current example, in call order,
+// keeping them as recorded
+function createReplayProvider(name) {
+  return {
+    name,
+    async complete(request) {
+      current.promptHash = hashPrompt(request.messages);
+      const reply = current.recorded.shift();
+      if (!reply) {
+        throw new Error(`No recorded reply left for ${current.id}`);
+      }
+      current.replies.push(reply);
+      return {
+        text: reply.text,
+        usage: { inputTokens: 0, outputTokens: 0 },
+      };
+    },
+  };
+}
+
+function installProviders(mode) {
+  if (mode === "fake") {
+    setProvider(
+      "fake",
+      recordReplies("fake", createFakeProvider(loadFakeResponses()))
+    );
+    return;
+  }
+
+  const config = getTaskConfig("intent");
+  const names = new Set(
+    [config.primary, config.fallback, config.budget]
+      .filter(Boolean)
+      .map((target) => target.provider)
+  );
+  for (const name of names) {
+    if (mode === "recorded") {
+      setProvider(name, createReplayProvider(name));
+      continue;
+    }
+    const factory = LIVE_PROVIDERS[name];
+    if (!factory) {
+      throw new Error(`No live provider for ${name}`);
+    }
+    setProvider(name, recordReplies(name, factory()));
+  }
+}
+
+function loadRecordings(filePath) {
+  const results = readJson(filePath);
+  return {
+    promptHash: results.promptHash,
+    replies: new Map(
+      results.examples.map((example) => [example.id, example.replies])
+    ),
+  };
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function confusionMatrix(rows) {
+  const matrix = Object.fromEntries(
+    INTENTS.map((expected) => [
+      expected,
+      Object.fromEntries(INTENTS.map((predicted) => [predicted, 0])),
+    ])
+  );
+  for (const row of rows) {
+    matrix[row.expected][row.predicted]++;
+  }
+  return matrix;
+}
+
+function perIntentScores(matrix) {
+  return Object.fromEntries(
+    INTENTS.map((intent) => {
+      const truePositives = matrix[intent][intent];
+      const support = INTENTS.reduce(
+        (total, predicted) => total + matrix[intent][predicted],
+        0
+      );
+      const predicted = INTENTS.reduce(
+        (total, expected) => total + matrix[expected][intent],
+        0
+      );
+      const precision = ratio(truePositives, predicted);
+      const recall = ratio(truePositives, support);
+      const f1 =
+        precision !== null && recall !== null && precision + recall > 0
+          ? (2 * precision * recall) / (precision + recall)
+          : null;
+      return [
+        intent,
+        {
+          support,
+          predicted,
+          precision: round(precision),
+          recall: round(recall),
+          f1: round(f1),
+        },
+      ];
+    })
+  );
+}
+
+// Confidence in equal-width bins against how often those answers were
+// right. The expected calibration error is the gap between the two,
+// weighted by how many answers fall in each bin.
+function calibration(rows) {
+  const scored = rows.filter((row) => row.confidence !== null);
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, index) => ({
+    range: `${(index / CALIBRATION_BINS).toFixed(1)}-${(
+      (index + 1) /
+      CALIBRATION_BINS
+    ).toFixed(1)}`,
+    rows: [],
+  }));
+  for (const row of scored) {
+    const index = Math.min(
+      CALIBRATION_BINS - 1,
+      Math.floor(row.confidence * CALIBRATION_BINS)
+    );
+    bins[index].rows.push(row);
+  }
+
+  let error = 0;
+  const report = bins
+    .filter((bin) => bin.rows.length > 0)
+    .map((bin) => {
+      const meanConfidence =
+        bin.rows.reduce((total, row) => total + row.confidence, 0) /
+        bin.rows.length;
+      const accuracy =
+        bin.rows.filter((row) => row.correct).length / bin.rows.length;
+      error +=
+        (bin.rows.length / scored.length) * Math.abs(meanConfidence - accuracy);
+      return {
+        range: bin.range,
+        count: bin.rows.length,
+        meanConfidence: round(meanConfidence),
+        accuracy: round(accuracy),
+      };
+    });
+
+  return {
+    scored: scored.length,
+    expectedCalibrationError: round(scored.length > 0 ? error : null),
+    bins: report,
+  };
+}
+
+function summarize(rows, context) {
+  const correct = rows.filter((row) => row.correct).length;
+  const matrix = confusionMatrix(rows);
+  return {
+    dataset: context.dataset,
+    mode: context.mode,
+    promptHash: context.promptHash,
+    models: [
+      ...new Set(
+        rows.flatMap((row) =>
+          row.replies.map((reply) => `${reply.provider}:${reply.model}`)
+        )
+      ),
+    ].sort(),
+    summary: {
+      examples: rows.length,
+      correct,
+      accuracy: round(ratio(correct, rows.length)),
+      fallbacks: rows.filter((row) => row.fallback).length,
+    },
+    perIntent: perIntentScores(matrix),
+    confusion: matrix,
+    calibration: calibration(rows),
+    examples: rows,
+  };
+}
+
+async function classify(example, recordings) {
+  current = {
+    id: example.id,
+    replies: [],
+    recorded: [...(recordings?.replies.get(example.id) || [])],
+    promptHash: null,
+  };
+  const result = await determineIntent(example.transcript, example.history);
+  const confidence = Number(result.confidence);
+
+  return {
+    id: example.id,
+    transcript: example.transcript,
+    expected: example.expected,
+    predicted: result.intent,
+    confidence:
+      Number.isFinite(confidence) && confidence >= 0 && confidence <= 1
+        ? confidence
+        : null,
+    correct: result.intent === example.expected,
+    fallback: !!result.fallback,
+    replies: current.replies,
+  };
+}
+
+function formatScore(value) {
+  return value === null ? "-" : value.toFixed(3);
+}
+
+function printTable(header, rows) {
+  const widths = header.map((cell, column) =>
+    Math.max(...[header, ...rows].map((row) => String(row[column]).length))
+  );
+  for (const row of [header, ...rows]) {
+    console.log(
+      row.map((cell, column) => String(cell).padEnd(widths[column])).join("  ")
+    );
+  }
+}
+
+function printReport(report) {
+  const { summary } = report;
+  console.log(
+    `${report.mode} run of ${report.dataset} (prompt ${report.promptHash}, ${
+      report.models.join(", ") || "no model replies"
+    })`
+  );
+  console.log(
+    `Accuracy ${formatScore(summary.accuracy)} (${summary.correct}/${
+      summary.examples
+    }), ${summary.fallbacks} fallback answers\n`
+  );
+
+  console.log("Confusion matrix (rows expected, columns predicted)");
+  printTable(
+    ["", ...INTENTS],
+    INTENTS.map((expected) => [
+      expected,
+      ...INTENTS.map((predicted) => report.confusion[expected][predicted]),
+    ])
+  );
+
+  console.log("\nPer intent");
+  printTable(
+    ["intent", "support", "precision", "recall", "f1"],
+    INTENTS.map((intent) => {
+      const scores = report.perIntent[intent];
+      return [
+        intent,
+        scores.support,
+        formatScore(scores.precision),
+        formatScore(scores.recall),
+        formatScore(scores.f1),
+      ];
+    })
+  );
+
+  const { calibration: calibrated } = report;
+  console.log(
+    `\nCalibration (ECE ${formatScore(
+      calibrated.expectedCalibrationError
+    )} over ${calibrated.scored} answers with a confidence)`
+  );
+  printTable(
+    ["confidence", "count", "mean", "accuracy"],
+    calibrated.bins.map((bin) => [
+      bin.range,
+      bin.count,
+      formatScore(bin.meanConfidence),
+      formatScore(bin.accuracy),
+    ])
+  );
+
+  const misses = report.examples.filter((row) => !row.correct);
+  if (misses.length > 0) {
+    console.log("\nMisclassified");
+    for (const row of misses) {
+      console.log(
+        `  ${row.id}: expected ${row.expected}, got ${row.predicted}${
+          row.fallback ? " (fallback)" : ""
+        } - "${row.transcript}"`
+      );
+    }
+  }
+}
+
+// What changed since an earlier results file: headline numbers and every
+// example whose prediction moved
+function printComparison(report, baseline) {
+  const delta = (now, before) =>
+    now === null || before === null
+      ? "-"
+      : `${now >= before ? "+" : ""}${(now - before).toFixed(3)}`;
+
+  console.log(
+    `\nAgainst ${options.baseline} (prompt ${baseline.promptHash}, ${baseline.mode})`
+  );
+  console.log(
+    `Accuracy ${formatScore(baseline.summary.accuracy)} -> ${formatScore(
+      report.summary.accuracy
+    )} (${delta(report.summary.accuracy, baseline.summary.accuracy)})`
+  );
+  console.log(
+    `ECE ${formatScore(
+      baseline.calibration.expectedCalibrationError
+    )} -> ${formatScore(report.calibration.expectedCalibrationError)} (${delta(
+      report.calibration.expectedCalibrationError,
+      baseline.calibration.expectedCalibrationError
+    )})`
+  );
+
+  const before = new Map(baseline.examples.map((row) => [row.id, row]));
+  const changed = report.examples.filter(
+    (row) =>
+      before.has(row.id) && before.get(row.id).predicted !== row.predicted
+  );
+  for (const row of changed) {
+    const previous = before.get(row.id);
+    const verdict = row.correct
+      ? "fixed"
+      : previous.correct
+      ? "broke"
+      : "still wrong";
+    console.log(
+      `  ${verdict} ${row.id}: ${previous.predicted} -> ${row.predicted} (expected ${row.expected})`
+    );
+  }
+  if (changed.length === 0) {
+    console.log("  No predictions changed");
+  }
+}
+
+try {
+  const examples = loadDataset(options.dataset);
+  const recordings =
+    options.mode === "recorded" ? loadRecordings(options.replay) : null;
+  installProviders(options.mode);
+
+  // One at a time, so each reply is kept with the example that asked for it
+  const rows = [];
+  let promptHash = null;
+  for (const example of examples) {
+    rows.push(await classify(example, recordings));
+    promptHash ||= current.promptHash;
+  }
+
+  if (recordings && recordings.promptHash !== promptHash) {
+    console.warn(
+      `Replies in ${options.replay} were recorded with prompt ${recordings.promptHash}, not the current ${promptHash}; only the scoring is being re-run`
+    );
+  }
+
+  const report = summarize(rows, {
+    dataset: options.dataset,
+    mode: options.mode,
+    promptHash,
+  });
+  const outFile =
+    options.out || path.join(".data", "intent_eval", `${options.mode}.json`);
+  fs.mkdirSync(path.dirname(outFile), { recursive: true });
+  fs.writeFileSync(outFile, `${JSON.stringify(report, null, 2)}\n`);
+
+  printReport(report);
+  if (options.baseline) {
+    printComparison(report, readJson(options.baseline));
+  }
+  console.log(`\nResults written to ${outFile}`);
+
+  const minAccuracy = options["min-accuracy"];
+  if (
+    minAccuracy !== undefined &&
+    report.summary.accuracy < Number(minAccuracy)
+  ) {
+    console.error(
+      `Accuracy ${formatScore(report.summary.accuracy)} is below ${minAccuracy}`
+    );
+    process.exit(1);
+  }
+} catch (error) {
+  console.error("Intent evaluation failed:", error);
+  process.exit(1);
+}
@@ -0,0 +1,503 @@
+import { parseBudget } from "./product_ranking.js";
+import { normalizeAmountText } from "./marketplaces.js";
+
+const ORDINALS = {
+  first: 1,
+  "1st": 1,
+  second: 2,
+  "2nd": 2,
+  third: 3,
+  "3rd": 3,
+  fourth: 4,
+  "4th": 4,
+  fifth: 5,
+  "5th": 5,
+};
+
+// Phrases that ask about one of the products already shown
+const SELECT_CUE =
+  /\b(tell me (more )?about|more (about|on)|details?|specs?|what about|how about|describe|info(rmation)? (on|about)|i('ll| will)? take|go with)\b/;
+
+// Questions only a product's detail page can answer
+const DETAILS_CUE =
+  /\b(specs?|specifications?|features?|description|dimensions|battery|weight|colou?rs?|variants?|sizes?|in stock|availab(le|ility)|waterproof|water[- ]resistant|comes? in)\b/;
+
+// Questions about what other buyers think
+const REVIEWS_CUE =
+  /\b(reviews?|reviewers|people (say|think)|buyers|customers say|complain(ts?)?|pros|cons)\b/;
+
+// Requests to be told about a price drop. "Tell me if..." on its own is
+// as likely a question about the product, so it needs a price word too.
+const WATCH_CUE =
+  /\b(tell|let|notify|alert|ping|text) me (know )?(when|if)\b.*\b(cheaper|prices?|drops?|below|under|less than|on sale|goes down)\b|\b(watch|track) (the |its |that )?price\b|\bprice (drop|alert)s?\b/;
+
+// "that one", "it": the product the user last asked about
+const FOCUS_CUE = /\b(that|this) one\b|\bits?\b/;
+
+// How much of a detail page is worth reading aloud
+const MAX_SPOKEN_SPECS = 4;
+const MAX_SPOKEN_FEATURES = 2;
+
+// Phrases that narrow or shift the products already shown rather than
+// starting over
+const REFINE_CUE =
+  /\b(cheaper|less expensive|more affordable|lower price[ds]?|pricier|more expensive|higher end|premium|higher rated|top rated|faster|quicker)\b/;
+
+// Words that narrow the shown products by a feature ("only the black
+// ones", "those without a cable"). Common in new requests too, so they only
+// count when every feature asked for is already in the results.
+const NARROW_CUE = /\b(only|just|without|instead|ones|those|them|these)\b/;
+
+// Comparisons of shown products are their own intent, not a follow-up
+const COMPARE_CUE =
+  /\b(compare|comparison|vs|versus|difference|differences|which (one )?is better)\b/;
+
+const CHEAPER = /\b(cheaper|less expensive|more affordable|lower price[ds]?)\b/;
+const PRICIER = /\b(pricier|more expensive|higher end|premium)\b/;
+const BETTER_RATED =
+  /\b(better|higher|top|best)[- ]?(rated|reviewed|reviews|ratings?)\b/;
+const FASTER =
+  /\b(faster|quicker|fast|quick|sooner|next[- ]day|prime)\s*(shipping|delivery)?\b|\barrives? (tomorrow|today)\b/;
+const CONDITION = /\b(new|used|renewed|refurbished)\b/;
+
+// Minimum stars for "better rated" follow-ups
+const BETTER_RATING = 4.5;
+
+// Short price/rating-only follow-ups ("under 30 dollars?") count as
+// refinements even without a cue word
+const MAX_BARE_REFINEMENT_WORDS = 6;
+
+// Words that carry no product feature in a follow-up
+const FILLER = new Set(
+  `a an the and or of to in on for with without no not is are be i me my we
+  you your it its this that these those them ones one some any can could
+  would please show give find get want need like see let lets just only
+  instead rather more less cheaper pricier expensive affordable better
+  higher lower top best rated reviewed reviews rating ratings faster quicker
+  fast quick shipping delivery prime sooner under over below above than
+  between around about dollars dollar bucks usd price priced cost something
+  anything what how which do does have has there here from by new used
+  renewed refurbished arrives arrive tomorrow today end premium next day
+  tell describe detail details spec specs info information take go option
+  item number ok okay yes yeah actually maybe really also too much first
+  second third fourth fifth last 1st 2nd 3rd 4th 5th`.split(/\s+/)
+);
+
+function words(text) {
+  return text.split(/[^a-z0-9$.]+/).filter(Boolean);
+}
+
+// Crude plural fold, so "headphones" matches "headphone"
+function stem(word) {
+  return word.length > 3 && !word.endsWith("ss")
+    ? word.replace(/s$/, "")
+    : word;
+}
+
+function featureTerms(text) {
+  return words(text).filter(
+    (word) => word.length > 1 && !FILLER.has(word) && !/^[$\d.]+$/.test(word)
+  );
+}
+
+function shownProducts(lastResults) {
+  return lastResults.shownIds
+    .map((id) => lastResults.candidates.find((product) => product.id === id))
+    .filter(Boolean);
+}
+
+// Positions in the shown list from "the second one", "#2", "option 3",
+// "the first and last". Returns 0-based indexes in the order mentioned.
+export function findOrdinals(lower, count) {
+  const pattern =
+    /\b(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th|last)\b|(?:\bnumber|#|\boption|\bitem|\bno\.)\s*(\d+)\b/g;
+  const indexes = [...lower.matchAll(pattern)]
+    .map((match) => {
+      if (match[2]) {
+        return Number(match[2]);
+      }
+      return match[1] === "last" ? count : ORDINALS[match[1]];
+    })
+    .filter((position) => position >= 1 && position <= count)
+    .map((position) => position - 1);
+
+  return [...new Set(indexes)];
+}
+
+// "the Sony", "the JBL one": shown products named by a brand or title word
+// no other shown product shares
+function findNamed(lower, shown) {
+  const mentioned = featureTerms(lower);
+  const texts = shown.map((product) =>
+    `${product.brand || ""} ${product.title}`.toLowerCase()
+  );
+
+  return shown
+    .map((product, index) => index)
+    .filter((index) => {
+      const terms = new Set(featureTerms(texts[index]));
+      return mentioned.some(
+        (term) =>
+          terms.has(term) &&
+          texts.every((text, other) => other === index || !text.includes(term))
+      );
+    });
+}
+
+// The one shown product a request points at, by position, name or as
+// "that one". Null when it is ambiguous.
+function findTarget(lower, shown, lastResults) {
+  const [ordinal] = findOrdinals(lower, shown.length);
+  if (ordinal !== undefined) {
+    return ordinal;
+  }
+  const named = findNamed(lower, shown);
+  if (named.length === 1) {
+    return named[0];
+  }
+  return lastResults.focus ?? (shown.length === 1 ? 0 : null);
+}
+
+function knownBrand(lower, candidates) {
+  const brands = [
+    ...new Set(candidates.map((product) => product.brand).filter(Boolean)),
+  ];
+  return (
+    brands.find((brand) =>
+      new RegExp(
+        `\\b${brand.toLowerCase().replace(/[^a-z0-9]+/g, "\\W*")}\\b`
+      ).test(lower)
+    ) || null
+  );
+}
+
+// Shown price in the results' currency, or null
+function priceIn(product, currency) {
+  return (product.currency || "USD") === currency
+    ? product.priceValue ?? null
+    : null;
+}
+
+// What "cheaper" or "pricier" is measured against: the product the user
+// points at ("cheaper than the second one", "than that one"), else the
+// middle of the prices shown
+function referencePrice(lower, shown, lastResults, currency) {
+  const [ordinal] = findOrdinals(lower, shown.length);
+  const named = findNamed(lower, shown);
+  const index =
+    ordinal ??
+    (named.length === 1 ? named[0] : null) ??
+    (FOCUS_CUE.test(lower) ? lastResults.focus ?? null : null);
+  const pointed = index !== null ? priceIn(shown[index], currency) : null;
+  if (pointed !== null) {
+    return pointed;
+  }
+
+  const prices = shown
+    .map((product) => priceIn(product, currency))
+    .filter((price) => price !== null)
+    .sort((a, b) => a - b);
+  if (prices.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(prices.length / 2);
+  return prices.length % 2
+    ? prices[middle]
+    : (prices[middle - 1] + prices[middle]) / 2;
+}
+
+// Constraint changes and feature keywords asked for in a follow-up.
+// Prices are relative to what was shown, see referencePrice. `shift` is
+// "cheaper" or "pricier" when the request moves the price that way.
+function parseRefinement(lower, lastResults) {
+  const shown = shownProducts(lastResults);
+  const currency = lastResults.constraints?.currency || "USD";
+  const shift = CHEAPER.test(lower)
+    ? "cheaper"
+    : PRICIER.test(lower)
+    ? "pricier"
+    : null;
+  const reference = shift
+    ? referencePrice(lower, shown, lastResults, currency)
+    : null;
+  const constraints = {};
+
+  if (shift === "cheaper" && reference !== null) {
+    constraints.maxPrice = Number((reference - 0.01).toFixed(2));
+    constraints.minPrice = null;
+  } else if (shift === "pricier" && reference !== null) {
+    constraints.minPrice = Number((reference + 0.01).toFixed(2));
+    constraints.maxPrice = null;
+  }
+
+  const budget = parseBudget(lower, currency);
+  if (budget) {
+    constraints.minPrice = budget.min;
+    constraints.maxPrice = budget.max;
+  }
+
+  if (BETTER_RATED.test(lower)) {
+    constraints.minRating = BETTER_RATING;
+  }
+  if (FASTER.test(lower)) {
+    constraints.fastShipping = true;
+  }
+
+  const condition = lower.match(CONDITION);
+  if (condition) {
+    constraints.condition =
+      condition[1] === "refurbished" ? "renewed" : condition[1];
+  }
+
+  // "Cheaper than the Bose" measures against the Bose, it doesn't ask for one
+  const [asked] = lower.split(/\bthan\b/);
+  const brand = knownBrand(asked, lastResults.candidates);
+  if (brand) {
+    constraints.brand = brand;
+  }
+
+  const brandTerms = brand ? featureTerms(brand.toLowerCase()) : [];
+  const [wanted, unwanted = ""] = asked.split(/\b(?:without|no|not)\b/);
+  const include = featureTerms(wanted).filter(
+    (term) => !brandTerms.includes(term)
+  );
+  const exclude = featureTerms(unwanted);
+
+  return {
+    constraints,
+    include,
+    exclude,
+    shift: reference !== null && !budget ? shift : null,
+  };
+}
+
+// Whether a feature word appears in the last query or any candidate, i.e.
+// it narrows these results rather than naming some other product
+function inResults(term, lastResults) {
+  const text = [
+    lastResults.query || "",
+    ...lastResults.candidates.map(
+      (product) => `${product.brand || ""} ${product.title}`
+    ),
+  ]
+    .join(" ")
+    .toLowerCase();
+  return (
+    words(text).some((word) => stem(word) === stem(term)) ||
+    (term.length > 3 && text.includes(stem(term)))
+  );
+}
+
+// Decide whether a transcript is about the last result set. Returns
+// { type: "select", index } for a reference to a shown product,
+// { type: "refine", refinement } for a narrowed or shifted search,
+// { type: "watch", index, targetPrice } for a price alert request, or
+// null when the transcript should be handled as a fresh request.
+export function detectFollowUp(transcript, lastResults) {
+  if (
+    !lastResults ||
+    !Array.isArray(lastResults.shownIds) ||
+    lastResults.shownIds.length === 0 ||
+    !transcript ||
+    typeof transcript !== "string"
+  ) {
+    return null;
+  }
+
+  // Amounts are read in the currency the results were priced in
+  const currency = lastResults.constraints?.currency || "USD";
+  const lower = normalizeAmountText(transcript.toLowerCase(), currency).replace(
+    /,/g,
+    ""
+  );
+  if (COMPARE_CUE.test(lower)) {
+    return null;
+  }
+  const shown = shownProducts(lastResults);
+
+  // "Tell me when the second one drops below $30"
+  if (WATCH_CUE.test(lower)) {
+    const budget = parseBudget(lower, currency);
+    return {
+      type: "watch",
+      index: findTarget(lower, shown, lastResults),
+      targetPrice: budget?.max ?? null,
+    };
+  }
+
+  const refinement = parseRefinement(lower, lastResults);
+  const changes = Object.keys(refinement.constraints).length;
+
+  // "Cheaper than the first one" is a refinement, not a selection, but
+  // "tell me about the Sony" names a brand without narrowing anything
+  if (Object.keys(refinement.constraints).every((key) => key === "brand")) {
+    const details = DETAILS_CUE.test(lower);
+    const reviews = REVIEWS_CUE.test(lower);
+    const asking = details || reviews || SELECT_CUE.test(lower);
+
+    const [ordinal] = findOrdinals(lower, shown.length);
+    if (ordinal !== undefined && (asking || /\bone\b/.test(lower))) {
+      return { type: "select", index: ordinal, details, reviews };
+    }
+    if (asking) {
+      const named = findNamed(lower, shown);
+      if (named.length === 1) {
+        return { type: "select", index: named[0], details, reviews };
+      }
+
+      const focus = lastResults.focus ?? (shown.length === 1 ? 0 : undefined);
+      if (focus !== undefined && FOCUS_CUE.test(lower)) {
+        return { type: "select", index: focus, details, reviews };
+      }
+    }
+  }
+
+  if (
+    changes === 0 &&
+    refinement.include.length === 0 &&
+    refinement.exclude.length === 0
+  ) {
+    return null;
+  }
+
+  // "A cheaper laptop" with headphones on screen is a new search
+  if (!refinement.include.every((term) => inResults(term, lastResults))) {
+    return null;
+  }
+
+  const bare =
+    changes > 0 &&
+    refinement.include.length === 0 &&
+    words(lower).length <= MAX_BARE_REFINEMENT_WORDS;
+  const narrowing =
+    NARROW_CUE.test(lower) &&
+    refinement.include.length + refinement.exclude.length > 0;
+  if (!REFINE_CUE.test(lower) && !bare && !narrowing) {
+    return null;
+  }
+
+  return { type: "refine", refinement };
+}
+
+// The one shown product a request such as "add the second one to my
+// cart" points at, or null when none or several could be meant
+export function resolveTarget(transcript, lastResults) {
+  if (
+    !lastResults ||
+    !Array.isArray(lastResults.shownIds) ||
+    lastResults.shownIds.length === 0 ||
+    !transcript
+  ) {
+    return null;
+  }
+
+  const lower = transcript.toLowerCase().replace(/,/g, "");
+  const shown = shownProducts(lastResults);
+  const index = findTarget(lower, shown, lastResults);
+  return index === null ? null : shown[index];
+}
+
+// Shown products a comparison refers to: "the first and third", "the Sony
+// and the JBL", or all of them for "compare these". Returns the products
+// in the order mentioned.
+export function resolveReferences(transcript, lastResults) {
+  if (!lastResults || !Array.isArray(lastResults.shownIds) || !transcript) {
+    return [];
+  }
+
+  const lower = transcript.toLowerCase().replace(/,/g, "");
+  const shown = shownProducts(lastResults);
+  const indexes = [
+    ...new Set([
+      ...findOrdinals(lower, shown.length),
+      ...findNamed(lower, shown),
+    ]),
+  ];
+
+  if (
+    indexes.length < 2 &&
+    /\b(them|these|those|they|both|all( of them)?|the (two|three))\b/.test(
+      lower
+    )
+  ) {
+    return shown;
+  }
+  return indexes.map((index) => shown[index]);
+}
+
+// Keep products whose title or brand has every wanted term and none of the
+// unwanted ones. Plurals are folded so "cases" matches "case".
+export function filterByKeywords(products, { include = [], exclude = [] }) {
+  return products.filter((product) => {
+    const text = `${product.brand || ""} ${product.title}`.toLowerCase();
+    const stems = new Set(words(text).map(stem));
+    const has = (term) =>
+      stems.has(stem(term)) || (term.length > 3 && text.includes(stem(term)));
+    return include.every(has) && !exclude.some(has);
+  });
+}
+
+// Description of one shown product, read back when the user asks about it
+export function describeProduct(product, position) {
+  const ordinal =
+    Object.keys(ORDINALS).find((word) => ORDINALS[word] === position + 1) ||
+    `number ${position + 1}`;
+  const parts = [
+    `The ${ordinal} one is the ${product.title}${
+      product.brand && !product.title.includes(product.brand)
+        ? ` from ${product.brand}`
+        : ""
+    }`,
+  ];
+
+  if (product.price) {
+    parts.push(`it costs ${product.price}`);
+  }
+  if (product.rating !== null) {
+    parts.push(
+      `it's rated ${product.rating} out of 5 from ${(
+        product.numRatings || 0
+      ).toLocaleString("en-US")} reviews`
+    );
+  }
+  if (product.delivery) {
+    parts.push(`delivery: ${product.delivery}`);
+  }
+  if (product.condition && product.condition.toLowerCase() !== "new") {
+    parts.push(`condition: ${product.condition}`);
+  }
+
+  return [`${parts.join(", ")}.`, ...describeDetails(product)].join(" ");
+}
+
+// Extra sentences for products that carry their detail page
+function describeDetails(product) {
+  const sentences = [];
+
+  const specs = Object.entries(product.specs || {}).slice(0, MAX_SPOKEN_SPECS);
+  if (specs.length > 0) {
+    sentences.push(
+      `Key specs: ${specs
+        .map(([name, value]) => `${name.toLowerCase()} ${value}`)
+        .join(", ")}.`
+    );
+  }
+
+  const features = (product.features || []).slice(0, MAX_SPOKEN_FEATURES);
+  if (features.length > 0) {
+    sentences.push(`Highlights: ${features.join("; ")}.`);
+  }
+
+  const options = (product.variants || [])
+    .filter((variant) => variant.available && variant.value)
+    .map((variant) => variant.value);
+  if (options.length > 1) {
+    sentences.push(`It comes in ${options.join(", ")}.`);
+  }
+
+  if (product.availability) {
+    sentences.push(`Availability: ${product.availability}.`);
+  }
+
+  return sentences;
+}
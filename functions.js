@@ -1,18 +1,74 @@
 import "dotenv/config";
-import { Groq } from "groq-sdk";
-import { clarifications } from "./greetings_voice_bot.js";
+import {
+  clarifications,
+  localizedClarifications,
+} from "./greetings_voice_bot.js";
 import {
   handleShoppingQuery,
   handleShoppingIntent,
   handleGreetingIntent,
+  handleCompareIntent,
+  getRandomIndex,
 } from "./handlerfunctions.js";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-const googleModel = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+import { createJsonFieldStreamer } from "./streaming.js";
+import { rankByRelevance, scoreProducts } from "./product_ranking.js";
+import {
+  normalizeConstraints,
+  applyConstraintFilters,
+  describeAppliedConstraints,
+  summarizeConstraints,
+  getBudget,
+} from "./shopping_constraints.js";
+import { generateJson } from "./llm_client.js";
+import {
+  detectFollowUp,
+  filterByKeywords,
+  describeProduct,
+  resolveReferences,
+  resolveTarget,
+} from "./followups.js";
+import { buildComparison } from "./comparison.js";
+import { getReviewSummary } from "./review_summaries.js";
+import { createWatch } from "./price_watch.js";
+import { searchKnowledgeBase } from "./knowledge_base.js";
+import { languageInstruction, localizeText } from "./language.js";
+import { formatMoney, searchLink } from "./marketplaces.js";
+import { logger } from "./logger.js";
+import { timeStep, recordPipelineFallback } from "./metrics.js";
+import {
+  parseOrderRequest,
+  startOrderFlow,
+  continueOrderFlow,
+} from "./order_flows.js";
+import {
+  parseCartCommand,
+  getLists,
+  addItem,
+  removeItem,
+  clearList,
+  summarizeList,
+  describeList,
+} from "./carts.js";
+import {
+  getProductSource,
+  searchProductSource,
+  getProductOffers,
+  getProductDetails,
+  getShoppingCurrency,
+} from "./product_sources.js";
+
+export const INTENTS = [
+  "greeting",
+  "shopping",
+  "compare",
+  "cart",
+  "order_support",
+  "general_shopping",
+  "unclear",
+];
+
+// Most products read out in one spoken comparison
+const MAX_COMPARED_PRODUCTS = 4;
 
 // Helper function to ensure message content is always a string
 export function sanitizeMessageHistory(messageHistory) {
@@ -29,8 +85,9 @@ export function sanitizeMessageHistory(messageHistory) {
   }));
 }
 
-// Function to determine user intent
-async function determineIntent(transcript, messageHistory = []) {
+// Function to determine user intent. When the LLM fails, the answer is a
+// guess marked `fallback: true`.
+export async function determineIntent(transcript, messageHistory = []) {
   if (!transcript || typeof transcript !== "string") {
     throw new Error("Invalid transcript parameter");
   }
@@ -42,7 +99,7 @@ async function determineIntent(transcript, messageHistory = []) {
       role: "system",
       content: `You are a smart intent detection assistant. Analyze the user's message and determine their primary intent.
 Analyze the user's message and determine their primary intent. Respond with ONLY a JSON object containing:
-"intent": Either "greeting", "shopping", or "general_shopping"
+"intent": Either "greeting", "shopping", "compare", "cart", "order_support", or "general_shopping"
 "confidence": A confidence score between 0 and 1
 Intent Definitions:
 "greeting"
@@ -63,10 +120,27 @@ Product inquiries or questions about specific items
 Requests for product recommendations or suggestions
 Price comparisons or budget-related product questions
 Questions about product availability, stock, or features
-Purchase-related queries (shipping, returns, warranties)
 Product troubleshooting or usage questions
 Requests to find products matching specific criteria
-Comparisons between different products or brands
+
+"compare"
+Use for messages that are:
+
+Comparisons between two or more specific products or brands
+Questions about which of several named or previously shown products is better
+Requests for the differences between products ("Sony XM5 vs Bose QC45")
+
+"cart"
+Use for messages that are:
+
+Adding, removing or listing items in the user's cart or wishlist
+Questions about the cart total or what has been saved for later
+
+"order_support"
+Use for messages that are:
+
+About an order the user already placed: tracking it, where a package is
+Starting a return, asking for a refund or cancelling an order
 
 "general_shopping"
 Use for messages that are:
@@ -98,6 +172,10 @@ Edge Cases:
 "What kind of products do you sell?" → Should be "general_shopping" (broad shopping inquiry)
 "Do you have any sales going on?" → Should be "general_shopping" (general promotion inquiry)
 "I need help finding the right laptop for gaming" → Should be "shopping" (specific product category with criteria)
+"Is the Sony XM5 better than the Bose QC45?" → Should be "compare" (two specific products weighed against each other)
+"Compare the first and second one" → Should be "compare" (products shown earlier in the conversation)
+"Where is my order?" → Should be "order_support" (an existing order, not a product search)
+"What is your return policy?" → Should be "general_shopping" (a policy question, no order involved)
 
 Classification Rules:
 
@@ -122,6 +200,9 @@ If the intent is unclear or mixed, classify as "unclear" with a confidence score
 Example Responses:
 json{"intent": "greeting", "confidence": 0.95}
 {"intent": "shopping", "confidence": 0.87}
+{"intent": "compare", "confidence": 0.9}
+{"intent": "cart", "confidence": 0.9}
+{"intent": "order_support", "confidence": 0.9}
 {"intent": "general_shopping", "confidence": 0.75}
 {"intent": "unclear", "confidence": 0.4, "clarification": "Are you looking for product help or just saying hello?"}
 IMPORTANT: Your response must be valid JSON format only, no additional text.`,
@@ -134,129 +215,814 @@ IMPORTANT: Your response must be valid JSON format only, no additional text.`,
   ];
 
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages,
-      model: "llama3-8b-8192",
-      temperature: 0.2,
-      max_tokens: 100,
-      response_format: { type: "json_object" },
-      stream: false,
+    const { data } = await generateJson("intent", messages, {
+      validate: (parsed) => {
+        if (!INTENTS.includes(parsed.intent)) {
+          throw new Error("Invalid intent received");
+        }
+      },
     });
 
-    const response = chatCompletion.choices[0]?.message?.content;
-    if (!response) {
-      throw new Error("Empty response from Groq API");
-    }
+    return data;
+  } catch (error) {
+    logger.error("Intent detection failed, assuming general shopping", {
+      error,
+    });
+    recordPipelineFallback("intent");
+    return { intent: "general_shopping", confidence: 0.8, fallback: true };
+  }
+}
+
+async function searchProducts(query, constraints = null, marketplace = null) {
+  if (!query || typeof query !== "string") {
+    throw new Error("Invalid query parameter");
+  }
 
-    const parsed = JSON.parse(response);
-    if (
-      !parsed.intent ||
-      (parsed.intent !== "greeting" &&
-        parsed.intent !== "shopping" &&
-        parsed.intent !== "unclear" &&
-        parsed.intent !== "general_shopping")
-    ) {
-      throw new Error("Invalid intent received");
+  try {
+    return await searchProductSource(query, { constraints, marketplace });
+  } catch (err) {
+    logger.error("Product search failed", { query, error: err });
+    throw new Error(`Failed to fetch products: ${err.message}`);
+  }
+}
+
+// Constraints echo, noting which ones the active source filters on
+function describeConstraints(constraints) {
+  return describeAppliedConstraints(constraints, getProductSource().filters);
+}
+
+// Shape a normalized product for the frontend
+function formatRankedProduct(product, rank, reason, score) {
+  // Extract title/name
+  const title = product.title || "N/A";
+
+  // Extract product link, or search for it in the product's marketplace
+  const link = product.link || searchLink(title, product.marketplace);
+
+  // Extract rating if available
+  const rating =
+    product.rating !== null
+      ? `${product.rating}/5 (${product.numRatings} reviews)`
+      : "Not rated";
+
+  return {
+    rank,
+    id: product.id,
+    asin: product.asin,
+    title,
+    price: product.price || "N/A",
+    link,
+    image: product.image || "N/A",
+    shipping: product.delivery || "N/A",
+    rating,
+    score: score === null ? null : Number(score.toFixed(3)),
+    reason,
+  };
+}
+
+async function rankProducts(products, userQuery, options = {}) {
+  if (!products || !Array.isArray(products)) {
+    throw new Error("Invalid products data structure");
+  }
+
+  if (products.length === 0) {
+    throw new Error("No products available");
+  }
+
+  // Score against the original transcript and keep the top 3
+  const ranked = await rankByRelevance(products, userQuery, {
+    ...options,
+    limit: 3,
+  });
+
+  return ranked.map(({ product, reason, score }, index) =>
+    formatRankedProduct(product, index + 1, reason, score)
+  );
+}
+
+function recommendationsMessage(count, searchQuery, constraints) {
+  const summary = constraints ? summarizeConstraints(constraints) : "";
+  return `Here are my top ${count} recommendations for "${searchQuery}"${
+    summary ? ` (${summary})` : ""
+  }:`;
+}
+
+// Every result was filtered out by the user's constraints
+function noMatchingProducts(searchQuery, constraints) {
+  return {
+    error: "No suitable products found",
+    message: `I couldn't find any ${searchQuery} matching ${summarizeConstraints(
+      constraints
+    )}. Try relaxing some of your requirements.`,
+    constraints: describeConstraints(constraints),
+  };
+}
+
+// Wrap an optional streaming callback. Replies that were not generated
+// token by token still reach the client as a single token event.
+// Replies in another language are translated once the turn is done, so
+// fixed English messages are only flushed then (`final`)
+function createAgentEvents(onEvent, language = "en") {
+  let streamed = false;
+  const deferred = language !== "en";
+
+  return {
+    emit(event, data) {
+      if (onEvent) {
+        onEvent(event, data);
+      }
+    },
+    onToken: onEvent
+      ? (text) => {
+          streamed = true;
+          onEvent("token", { text });
+        }
+      : undefined,
+    flushMessage(message, final = false) {
+      if (onEvent && !streamed && message && (final || !deferred)) {
+        streamed = true;
+        onEvent("token", { text: message });
+      }
+    },
+  };
+}
+
+// How many candidates from a result set are kept for follow-up questions
+const MAX_REMEMBERED_PRODUCTS = 30;
+
+// What the session keeps about the last result set: the cards that were
+// shown, plus the candidates behind them with the shown ones first
+function rememberResults(searchQuery, constraints, products, topProducts) {
+  const shownIds = topProducts.map((product) => product.id);
+  const shown = shownIds
+    .map((id) => products.find((product) => product.id === id))
+    .filter(Boolean);
+
+  return {
+    query: searchQuery,
+    constraints,
+    shownIds,
+    recommendations: topProducts,
+    candidates: [
+      ...shown,
+      ...products.filter((product) => !shownIds.includes(product.id)),
+    ].slice(0, MAX_REMEMBERED_PRODUCTS),
+  };
+}
+
+// Search, filter and rank products for an extracted query. Passing
+// `candidates` re-ranks an earlier result set instead of searching again;
+// `filter` drops search results before the constraint filters run;
+// `marketplace` is the storefront searched.
+async function recommendProducts(
+  transcript,
+  searchQuery,
+  constraints,
+  events,
+  options = {}
+) {
+  let productResults = options.candidates;
+  if (!productResults) {
+    try {
+      productResults = await timeStep("search", () =>
+        searchProducts(searchQuery, constraints, options.marketplace)
+      );
+    } catch (error) {
+      return {
+        error: "Failed to fetch products",
+        message:
+          "Sorry, I couldn't search for products right now. Please try again later.",
+        details: error.message,
+      };
     }
+  }
 
-    return parsed;
+  if (options.filter) {
+    productResults = options.filter(productResults);
+  }
+  const matchingProducts = applyConstraintFilters(productResults, constraints);
+  if (matchingProducts.length === 0) {
+    return noMatchingProducts(searchQuery, constraints);
+  }
+
+  const rank = options.rank || rankProducts;
+  let topProducts;
+  try {
+    topProducts = await timeStep("ranking", () =>
+      rank(matchingProducts, options.rankQuery || transcript, {
+        budget: getBudget(constraints),
+      })
+    );
   } catch (error) {
-    console.error("Intent detection error:", error);
-    return { intent: "genral_shopping", confidence: 0.8 };
+    logger.error("Product ranking failed", { error });
+    return {
+      error: "Failed to rank products",
+      message:
+        "I found some products but couldn't rank them properly. Please try again.",
+      details: error.message,
+    };
+  }
+
+  if (!topProducts || topProducts.length === 0) {
+    return {
+      error: "No suitable products found",
+      message:
+        "I couldn't find any suitable products for your request. Try being more specific.",
+    };
   }
+
+  const message =
+    options.message?.(topProducts.length) ||
+    recommendationsMessage(topProducts.length, searchQuery, constraints);
+  events.flushMessage(message);
+  events.emit("products", {
+    query: searchQuery,
+    constraints: describeConstraints(constraints),
+    recommendations: topProducts,
+  });
+
+  return {
+    intent: "shopping",
+    success: true,
+    query: searchQuery,
+    constraints: describeConstraints(constraints),
+    recommendations: topProducts,
+    message,
+    results: rememberResults(
+      searchQuery,
+      constraints,
+      matchingProducts,
+      topProducts
+    ),
+  };
 }
 
-async function searchProducts(query) {
-  if (!query || typeof query !== "string") {
-    throw new Error("Invalid query parameter");
+// Answer a question about one of the products shown last turn. Spec and
+// feature questions read from the product's detail page, review questions
+// from its review summary.
+async function describeShownProduct(lastResults, followUp, context, events) {
+  const { index } = followUp;
+  const options = { marketplace: context?.marketplace };
+  let product = lastResults.candidates.find(
+    (candidate) => candidate.id === lastResults.shownIds[index]
+  );
+  let details = null;
+
+  if (followUp.details) {
+    try {
+      details = await getProductDetails(product.id, options);
+    } catch (error) {
+      logger.error("Product details unavailable", {
+        productId: product.id,
+        error: error.message,
+      });
+    }
+    product = details || product;
   }
 
-  if (!process.env.RAPIDAPI_KEY) {
-    throw new Error("Missing RapidAPI key");
+  let message = describeProduct(product, index);
+  let recommendation = lastResults.recommendations[index];
+
+  if (followUp.reviews) {
+    try {
+      const reviewSummary = await getReviewSummary(product.id, options);
+      recommendation = { ...recommendation, reviewSummary };
+      message = `About the ${product.title}: ${reviewSummary.summary}`;
+    } catch (error) {
+      logger.error("Review summary unavailable", {
+        productId: product.id,
+        error: error.message,
+      });
+    }
   }
 
-  const searchUrl = `https://real-time-amazon-data.p.rapidapi.com/search?query=${encodeURIComponent(
-    query
-  )}&page=1&country=US&sort_by=RELEVANCE&product_condition=ALL`;
+  events.flushMessage(message);
+  events.emit("products", {
+    query: lastResults.query,
+    recommendations: [recommendation],
+    details,
+  });
+
+  return {
+    intent: "product_followup",
+    success: true,
+    query: lastResults.query,
+    constraints: describeConstraints(lastResults.constraints),
+    recommendations: [recommendation],
+    details,
+    message,
+    results: { ...lastResults, focus: index },
+  };
+}
+
+// Set a price alert on a shown product. Without a spoken target, any drop
+// below the current price triggers it.
+async function watchShownProduct(lastResults, followUp, context, events) {
+  if (!context.watchStore || !context.userId) {
+    return {
+      error: "Price alerts unavailable",
+      message: "Sorry, I can't set up price alerts here.",
+    };
+  }
+  if (followUp.index === null) {
+    return {
+      error: "Ambiguous product",
+      message:
+        "Which one should I watch? You can say something like 'the first one'.",
+    };
+  }
+
+  const index = followUp.index;
+  const product = lastResults.candidates.find(
+    (candidate) => candidate.id === lastResults.shownIds[index]
+  );
+  const targetPrice =
+    followUp.targetPrice ??
+    (product.priceValue !== null
+      ? Number((product.priceValue - 0.01).toFixed(2))
+      : null);
+  if (targetPrice === null || targetPrice <= 0) {
+    return {
+      error: "No target price",
+      message:
+        "I don't know its current price. Tell me a target, like 'let me know when it's under $30'.",
+    };
+  }
 
+  let watch;
   try {
-    const response = await fetch(searchUrl, {
-      method: "GET",
-      headers: {
-        "x-rapidapi-key": process.env.RAPIDAPI_KEY,
-        "x-rapidapi-host": "real-time-amazon-data.p.rapidapi.com",
-      },
+    watch = await createWatch(context.watchStore, {
+      apiKey: context.apiKey,
+      userId: context.userId,
+      productId: product.id,
+      title: product.title,
+      marketplace: context.marketplace,
+      currency: product.currency,
+      targetPrice,
+      currentPrice: product.priceValue,
     });
+  } catch (error) {
+    logger.error("Price watch creation failed", { error });
+    return {
+      error: "Failed to create price watch",
+      message: "Sorry, I couldn't set up that price alert.",
+      details: error.message,
+    };
+  }
+
+  const message =
+    followUp.targetPrice !== null
+      ? `Okay, I'll let you know when the ${
+          product.title
+        } drops to ${formatMoney(targetPrice, product.currency)} or less.`
+      : `Okay, I'll let you know when the ${product.title} gets cheaper than ${product.price}.`;
+  events.flushMessage(message);
+
+  return {
+    intent: "price_watch",
+    success: true,
+    query: lastResults.query,
+    recommendations: [lastResults.recommendations[index]],
+    watch,
+    message,
+    results: { ...lastResults, focus: index },
+  };
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API error: ${response.status} - ${errorText}`);
+// Narrow the last result set. Falls back to a modified search when none of
+// the remembered products fit, e.g. "only wireless" after wired results.
+async function refineRecommendations(
+  transcript,
+  lastResults,
+  refinement,
+  context,
+  events,
+  rank
+) {
+  const marketplace = context?.marketplace;
+  const constraints = { ...lastResults.constraints, ...refinement.constraints };
+  const rankQuery = [lastResults.query, ...refinement.include].join(" ");
+
+  const remembered = applyConstraintFilters(
+    filterByKeywords(lastResults.candidates, refinement),
+    constraints
+  );
+  if (remembered.length > 0) {
+    logger.info("Refining remembered results", { refinement });
+    return recommendProducts(
+      transcript,
+      lastResults.query,
+      constraints,
+      events,
+      { candidates: remembered, rankQuery, rank, marketplace }
+    );
+  }
+
+  // Included words are already in the results, so the last query searches
+  // for them and the keyword filter narrows what comes back
+  logger.info("Refinement needs a new search", { refinement });
+  const searched = await recommendProducts(
+    transcript,
+    lastResults.query,
+    constraints,
+    events,
+    {
+      rankQuery,
+      rank,
+      marketplace,
+      filter: (products) => filterByKeywords(products, refinement),
     }
+  );
+  if (!searched.error || !refinement.shift) {
+    return searched;
+  }
 
-    const data = await response.json();
+  // Nothing cheaper (or pricier) anywhere: the remembered products nearest
+  // that end of the range are closer to the request than an apology
+  const closest = filterByKeywords(
+    applyConstraintFilters(lastResults.candidates, lastResults.constraints),
+    refinement
+  )
+    .filter((product) => product.priceValue !== null)
+    .sort((a, b) =>
+      refinement.shift === "cheaper"
+        ? a.priceValue - b.priceValue
+        : b.priceValue - a.priceValue
+    )
+    .slice(0, lastResults.shownIds.length);
+  if (closest.length === 0) {
+    return searched;
+  }
 
-    if (data?.data?.products && Array.isArray(data.data.products)) {
-      return data.data.products;
+  logger.info("Showing the closest results instead", { refinement });
+  return recommendProducts(
+    transcript,
+    lastResults.query,
+    lastResults.constraints,
+    events,
+    {
+      candidates: closest,
+      rankQuery,
+      rank,
+      marketplace,
+      message: () =>
+        `I couldn't find anything ${refinement.shift}, so here are the closest options I have.`,
     }
+  );
+}
 
-    throw new Error("No products found in API response");
-  } catch (err) {
-    console.error("Error fetching products:", err);
-    throw new Error(`Failed to fetch products: ${err.message}`);
+// Cart and wishlist items as a result set, so "remove the Sony" resolves
+// the same way "the second one" does against search results
+function itemsAsResults(items) {
+  return {
+    shownIds: items.map((item) => item.productId),
+    candidates: items.map((item) => ({
+      id: item.productId,
+      title: item.title,
+      brand: null,
+    })),
+  };
+}
+
+// Add, remove, list and clear cart or wishlist items by voice. Products to
+// add come from the last recommendations, or from the other list ("move
+// the Sony to my cart").
+async function handleCartCommand(transcript, command, context, events) {
+  const { action, list, quantity } = command;
+  if (!context?.cartStore || !context.userId) {
+    return {
+      error: "Cart unavailable",
+      message: `Sorry, I can't manage your ${list} here.`,
+    };
   }
+
+  const { cartStore } = context;
+  const owner = { apiKey: context.apiKey, userId: context.userId };
+  const lists = await getLists(cartStore, owner);
+  let message;
+
+  if (action === "add") {
+    const otherList = list === "cart" ? "wishlist" : "cart";
+    let added = resolveTarget(transcript, context.lastResults);
+    if (!added) {
+      // Items from the other list carry their own price fields
+      const moved = resolveTarget(transcript, itemsAsResults(lists[otherList]));
+      const item =
+        moved && lists[otherList].find((entry) => entry.productId === moved.id);
+      added = item ? { ...item, id: item.productId } : null;
+    }
+    if (!added) {
+      return {
+        error: "Ambiguous product",
+        message: `Which product should I add to your ${list}? You can say something like 'the first one'.`,
+      };
+    }
+
+    const items = await addItem(cartStore, owner, list, added, quantity);
+    if (/\bmove\b/i.test(transcript)) {
+      await removeItem(cartStore, owner, otherList, added.id);
+    }
+    const { subtotal, currency } = summarizeList(items);
+    message =
+      list === "cart"
+        ? `Added ${quantity > 1 ? `${quantity} of ` : ""}the ${
+            added.title
+          } to your cart. Your total is now ${formatMoney(subtotal, currency)}.`
+        : `Saved the ${added.title} to your wishlist.`;
+  } else if (action === "remove") {
+    const product = resolveTarget(transcript, itemsAsResults(lists[list]));
+    const removed = product
+      ? await removeItem(cartStore, owner, list, product.id)
+      : null;
+    if (!removed) {
+      return {
+        error: "Item not found",
+        message: `I couldn't tell which item to remove from your ${list}.`,
+      };
+    }
+    message = `Removed the ${removed.title} from your ${list}.`;
+  } else if (action === "clear") {
+    await clearList(cartStore, owner, list);
+    message = `I've emptied your ${list}.`;
+  }
+
+  const summary = summarizeList((await getLists(cartStore, owner))[list]);
+  if (action === "list") {
+    message = describeList(list, summary);
+  }
+
+  events.flushMessage(message);
+  return {
+    intent: `${list}_${action}`,
+    success: true,
+    cart: { list, ...summary },
+    message,
+  };
 }
 
-async function rankProducts(products, userQuery) {
-  if (!products || !Array.isArray(products)) {
-    throw new Error("Invalid products data structure");
+// Track, return, refund and cancel flows. A flow waiting on an answer gets
+// the turn first; a reply it can't use drops the flow and falls through to
+// the rest of the pipeline. A request needs to mention the order unless a
+// flow is pending or `anyOrder` is set.
+async function handleOrderRequest(
+  transcript,
+  context,
+  events,
+  { anyOrder = false } = {}
+) {
+  const pending = context?.orderFlow;
+  const flow = parseOrderRequest(transcript, {
+    anyOrder: anyOrder || Boolean(pending),
+  });
+  if ((!pending && !flow) || !context?.orderService) {
+    return null;
   }
 
-  if (products.length === 0) {
-    throw new Error("No products available");
+  // Switching flows midway ("actually, just track it") keeps the order number
+  const state =
+    flow && flow !== pending?.flow
+      ? startOrderFlow(
+          flow,
+          pending?.slots.orderId ? { orderId: pending.slots.orderId } : {}
+        )
+      : pending;
+  const turn = await continueOrderFlow(
+    state,
+    transcript,
+    context.orderService,
+    { userId: context.accountId }
+  );
+  if (!turn) {
+    return null;
   }
 
-  // Take first 3 products and format them consistently
-  const topProducts = products.slice(0, 3).map((product, index) => {
-    // Extract title/name
-    const title = product.product_title || "N/A";
+  logger.info("Order flow turn", {
+    flow: state.flow,
+    awaiting: turn.state?.awaiting || "done",
+  });
+  events.emit("intent", { intent: state.flow, confidence: 1 });
+  events.flushMessage(turn.message);
+  return {
+    intent: state.flow,
+    success: true,
+    message: turn.message,
+    order: {
+      flow: state.flow,
+      awaiting: turn.state?.awaiting || null,
+      order: turn.order,
+      result: turn.result,
+    },
+    orderFlow: turn.state,
+  };
+}
 
-    // Extract price
-    const price = product.product_price || "N/A";
+// Handle cart commands, and "cheaper ones", "the second one" and the like
+// against the result set remembered in `context`. Returns null for
+// anything else.
+async function answerFollowUp(transcript, context, events, rank) {
+  const cartCommand = parseCartCommand(transcript);
+  if (cartCommand) {
+    logger.info("Cart command", {
+      list: cartCommand.list,
+      action: cartCommand.action,
+    });
+    events.emit("intent", {
+      intent: `${cartCommand.list}_${cartCommand.action}`,
+      confidence: 1,
+    });
+    return handleCartCommand(transcript, cartCommand, context, events);
+  }
 
-    // Extract image
-    const image = product.product_photo || "N/A";
+  const lastResults = context?.lastResults;
+  const followUp = detectFollowUp(transcript, lastResults);
+  if (!followUp) {
+    return null;
+  }
 
-    // Extract product link
-    const link =
-      product.product_url ||
-      `https://www.amazon.com/s?k=${encodeURIComponent(title)}`;
+  logger.info("Follow-up on previous recommendations", {
+    type: followUp.type,
+  });
+  events.emit("intent", {
+    intent: followUp.type === "watch" ? "price_watch" : "product_followup",
+    confidence: 1,
+  });
 
-    // Extract shipping info
-    const shipping = product.delivery || "N/A";
+  switch (followUp.type) {
+    case "watch":
+      return watchShownProduct(lastResults, followUp, context, events);
+    case "select":
+      return describeShownProduct(lastResults, followUp, context, events);
+    default:
+      return refineRecommendations(
+        transcript,
+        lastResults,
+        followUp.refinement,
+        context,
+        events,
+        rank
+      );
+  }
+}
 
-    // Extract rating if available
-    const rating = product.product_star_rating
-      ? `${product.product_star_rating}/5 (${
-          product.product_num_ratings || 0
-        } reviews)`
-      : "Not rated";
+// Best search match for one product named in a comparison
+async function findComparedProduct(name, marketplace) {
+  try {
+    const [best] = scoreProducts(
+      await searchProducts(name, null, marketplace),
+      name
+    );
+    return best ? best.product : null;
+  } catch (error) {
+    logger.error("Compared product not found", { error });
+    return null;
+  }
+}
+
+// Details and offers are a bonus; a comparison still works from listing
+// data alone
+async function fetchComparisonDetails(product, marketplace) {
+  try {
+    return await getProductDetails(product.id, { marketplace });
+  } catch (error) {
+    logger.error("Comparison details unavailable", {
+      productId: product.id,
+      error: error.message,
+    });
+    return null;
+  }
+}
 
+async function fetchComparisonOffers(product, marketplace) {
+  try {
+    const { offers } = await getProductOffers(product.id, { marketplace });
+    return offers;
+  } catch (error) {
+    logger.error("Comparison offers unavailable", {
+      productId: product.id,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+// Compare products shown earlier ("the first and third") or named in the
+// request ("Sony XM5 vs Bose QC45") side by side
+async function compareProducts(transcript, messageHistory, context, events) {
+  const marketplace = context?.marketplace;
+  let products = resolveReferences(transcript, context?.lastResults);
+  let query = context?.lastResults?.query || null;
+
+  if (products.length < 2) {
+    let names;
+    try {
+      ({ products: names } = await timeStep("query_extraction", () =>
+        handleCompareIntent(transcript, messageHistory)
+      ));
+    } catch (error) {
+      logger.error("Comparison extraction failed", { error });
+      return {
+        error: "Failed to understand comparison",
+        message: "Which products would you like me to compare?",
+        details: error.message,
+      };
+    }
+
+    const found = await Promise.all(
+      names.map((name) => findComparedProduct(name, marketplace))
+    );
+    products = [...products, ...found.filter(Boolean)].filter(
+      (product, index, all) =>
+        all.findIndex((other) => other.id === product.id) === index
+    );
+    query = names.join(" vs ");
+  }
+
+  if (products.length < 2) {
     return {
-      rank: index + 1,
-      title,
-      price,
-      link,
-      image,
-      shipping,
-      rating,
-      reason: "Top matching results",
+      error: "Not enough products to compare",
+      message:
+        "I need at least two products to compare. Which ones would you like me to look at?",
     };
-  });
+  }
+  products = products.slice(0, MAX_COMPARED_PRODUCTS);
+
+  const [details, offers] = await timeStep("compare_details", () =>
+    Promise.all([
+      Promise.all(
+        products.map((product) => fetchComparisonDetails(product, marketplace))
+      ),
+      Promise.all(
+        products.map((product) => fetchComparisonOffers(product, marketplace))
+      ),
+    ])
+  );
+  const comparison = buildComparison(
+    products.map((product, index) => ({
+      product: details[index] || product,
+      offers: offers[index],
+    }))
+  );
+  const recommendations = products.map((product, index) =>
+    formatRankedProduct(product, index + 1, null, null)
+  );
+
+  events.flushMessage(comparison.verdict);
+  events.emit("comparison", comparison);
+
+  const constraints = normalizeConstraints(
+    {},
+    "",
+    getShoppingCurrency(marketplace)
+  );
+  return {
+    intent: "compare",
+    success: true,
+    query,
+    recommendations,
+    comparison,
+    message: comparison.verdict,
+    results: rememberResults(query, constraints, products, recommendations),
+  };
+}
+
+// Answer in the user's language. Replies the LLM already wrote in that
+// language (`localized`) are kept; fixed English ones are translated.
+async function localizeResponse(response, language, events) {
+  if (language === "en" || response.localized) {
+    const { localized, ...rest } = response;
+    events.flushMessage(rest.message, true);
+    return { ...rest, language };
+  }
 
-  return topProducts;
+  const message = await localizeText(response.message, language);
+  events.flushMessage(message, true);
+  return { ...response, message, language };
 }
 
-export async function getMessageFromAgent(transcript, messageHistory = []) {
+export async function getMessageFromAgent(
+  transcript,
+  messageHistory = [],
+  options = {}
+) {
+  const language = options.language || "en";
+  const events = createAgentEvents(options.onEvent, language);
+  const response = await runAgentTurn(
+    transcript,
+    messageHistory,
+    options,
+    events,
+    language
+  );
+  return localizeResponse(response, language, events);
+}
+
+async function runAgentTurn(
+  transcript,
+  messageHistory,
+  options,
+  events,
+  language
+) {
   try {
     if (!transcript || typeof transcript !== "string") {
       return {
@@ -265,12 +1031,27 @@ export async function getMessageFromAgent(transcript, messageHistory = []) {
       };
     }
 
-    console.log("Step 1: Determining user intent...");
+    const orderTurn = await handleOrderRequest(
+      transcript,
+      options.context,
+      events
+    );
+    if (orderTurn) {
+      return orderTurn;
+    }
+
+    const followUp = await answerFollowUp(transcript, options.context, events);
+    if (followUp) {
+      return followUp;
+    }
+
     let intentResult;
     try {
-      intentResult = await determineIntent(transcript, messageHistory);
+      intentResult = await timeStep("intent", () =>
+        determineIntent(transcript, messageHistory)
+      );
     } catch (error) {
-      console.error("Intent detection failed:", error);
+      logger.error("Intent detection failed", { error });
       return {
         error: "Failed to understand request",
         message: "Could you please clarify your request?",
@@ -278,13 +1059,22 @@ export async function getMessageFromAgent(transcript, messageHistory = []) {
       };
     }
 
-    console.log("Intent detected:", intentResult.intent);
+    logger.info("Intent detected", {
+      intent: intentResult.intent,
+      confidence: intentResult.confidence,
+    });
+    events.emit("intent", {
+      intent: intentResult.intent,
+      confidence: intentResult.confidence,
+    });
 
     if (intentResult.intent === "greeting") {
       try {
-        return await handleGreetingIntent();
+        const greeting = await handleGreetingIntent(language);
+        events.flushMessage(greeting.message);
+        return { ...greeting, localized: true };
       } catch (error) {
-        console.error("Greeting handler failed:", error);
+        logger.error("Greeting handler failed", { error });
         return {
           intent: "greeting",
           message: "Hello! How can I assist you today?",
@@ -292,12 +1082,15 @@ export async function getMessageFromAgent(transcript, messageHistory = []) {
         };
       }
     } else if (intentResult.intent === "shopping") {
-      console.log("Step 2: Getting search query from user input...");
       let searchResult;
       try {
-        searchResult = await handleShoppingIntent(transcript, messageHistory);
+        searchResult = await timeStep("query_extraction", () =>
+          handleShoppingIntent(transcript, messageHistory, {
+            marketplace: options.context?.marketplace,
+          })
+        );
       } catch (error) {
-        console.error("Search query extraction failed:", error);
+        logger.error("Search query extraction failed", { error });
         return {
           error: "Failed to understand product request",
           message: "Could you please clarify what product you're looking for?",
@@ -306,74 +1099,83 @@ export async function getMessageFromAgent(transcript, messageHistory = []) {
       }
 
       const searchQuery = searchResult.searchQuery;
-      console.log("Search query extracted:", searchQuery);
-
-      console.log("Step 3: Fetching products from API...");
-      let productResults;
-      try {
-        productResults = await searchProducts(searchQuery);
-      } catch (error) {
-        console.error(" API failed:", error);
-        return {
-          error: "Failed to fetch products",
-          message:
-            "Sorry, I couldn't search for products right now. Please try again later.",
-          details: error.message,
-        };
-      }
-
-      console.log("Step 4: Ranking products...");
-      let topProducts;
-      try {
-        topProducts = await rankProducts(productResults, transcript);
-      } catch (error) {
-        console.error("Product ranking failed:", error);
-        return {
-          error: "Failed to rank products",
-          message:
-            "I found some products but couldn't rank them properly. Please try again.",
-          details: error.message,
-        };
-      }
-
-      if (!topProducts || topProducts.length === 0) {
-        return {
-          error: "No suitable products found",
-          message:
-            "I couldn't find any suitable products for your request. Try being more specific.",
-        };
+      const constraints = searchResult.constraints;
+      logger.info("Search query extracted", { constraints });
+      logger.debug("Search query", { searchQuery });
+
+      return await recommendProducts(
+        transcript,
+        searchQuery,
+        constraints,
+        events,
+        { marketplace: options.context?.marketplace }
+      );
+    } else if (intentResult.intent === "compare") {
+      return await compareProducts(
+        transcript,
+        messageHistory,
+        options.context,
+        events
+      );
+    } else if (intentResult.intent === "cart") {
+      // The classifier heard a cart request without "my cart" ("add it to
+      // the cart"); anything still unparsed is read back as a listing
+      return await handleCartCommand(
+        transcript,
+        parseCartCommand(transcript, { anyCart: true }) || {
+          action: "list",
+          list: "cart",
+          quantity: 1,
+        },
+        options.context,
+        events
+      );
+    } else if (intentResult.intent === "order_support") {
+      // The classifier heard an order request without "my order" ("I want a
+      // refund"); start its flow, or ask which flow they want
+      const orderTurn = await handleOrderRequest(
+        transcript,
+        options.context,
+        events,
+        { anyOrder: true }
+      );
+      if (orderTurn) {
+        return orderTurn;
       }
-
-      return {
-        intent: "shopping",
-        success: true,
-        query: searchQuery,
-        recommendations: topProducts,
-        message: `Here are my top ${topProducts.length} recommendations for "${searchQuery}":`,
-      };
+      const message =
+        "I can track an order, start a return, request a refund or cancel an order. Which would you like?";
+      events.flushMessage(message);
+      return { intent: "order_support", success: true, message };
     } else if (intentResult.intent === "unclear") {
+      const choices = localizedClarifications[language] || clarifications;
+      const message = choices[getRandomIndex(choices.length)];
+      events.flushMessage(message);
+
       return {
         intent: "unclear",
-        message: clarifications[getRandomIndex(clarifications.length)],
+        message,
+        localized: true,
         requiresClarification: true,
         clarification:
           intentResult.clarification || "Could you clarify your request?",
       };
     } else if (intentResult.intent === "general_shopping") {
-      console.log("Step 2: Handling general shopping queries...");
       let generalShoppingQuery;
       try {
         generalShoppingQuery = await handleShoppingQuery(
           transcript,
-          messageHistory
+          messageHistory,
+          { onToken: events.onToken, language }
         );
+        events.flushMessage(generalShoppingQuery.message);
         return {
           intent: "general_shopping",
           success: true,
           message: generalShoppingQuery.message,
+          localized: generalShoppingQuery.localized === true,
         };
       } catch (error) {
-        console.error("General shopping query handling failed:", error);
+        logger.error("General shopping query failed", { error });
         return {
           error: "Failed to understand general shopping request",
           message: "Could you please clarify what you're looking for?",
@@ -382,7 +1184,7 @@ export async function getMessageFromAgent(transcript, messageHistory = []) {
       }
     }
   } catch (error) {
-    console.error("Error in getmessagefromGroq:", error);
+    logger.error("Agent pipeline failed", { error });
     return {
       error: "System error",
       message: "Sorry, something went wrong. Please try again.",
@@ -412,7 +1214,7 @@ export async function getProductRecommendationsAPI(req, res) {
     const result = await getMessageFromAgent(query, messageHistory);
     res.json(result);
   } catch (error) {
-    console.error("API error:", error);
+    logger.error("Recommendations API failed", { error });
     res.status(500).json({
       error: "Internal server error",
       message: "Failed to process request",
@@ -425,7 +1227,8 @@ export async function getProductRecommendationsAPI(req, res) {
 
 export async function processSupportTextWithGemini(
   problemDescription,
-  messageHistory = []
+  messageHistory = [],
+  options = {}
 ) {
   if (!problemDescription || typeof problemDescription !== "string") {
     throw new Error("Invalid problem description");
@@ -434,6 +1237,20 @@ export async function processSupportTextWithGemini(
   const sanitizedHistory = sanitizeMessageHistory(messageHistory);
 
   try {
+    // Ground policy answers in our own documents instead of model knowledge
+    const passages = await searchKnowledgeBase(problemDescription);
+    const knowledge =
+      passages.length > 0
+        ? passages
+            .map(
+              (passage, index) =>
+                `[${index + 1}] ${passage.title}${
+                  passage.section ? ` - ${passage.section}` : ""
+                }\n${passage.text}`
+            )
+            .join("\n\n")
+        : "No knowledge base articles matched this question.";
+
     const prompt = `You are a customer support assistant. Analyze the user's problem description and provide helpful support guidance.
     
 User's problem: ${problemDescription}
@@ -441,6 +1258,9 @@ User's problem: ${problemDescription}
 Previous conversation context:
 ${JSON.stringify(sanitizedHistory, null, 2)}
 
+Knowledge base articles:
+${knowledge}
+
 Response Requirements:
 - Provide clear, step-by-step solutions when possible
 - Be empathetic and professional
@@ -448,45 +1268,57 @@ Response Requirements:
 - For account issues, suggest standard troubleshooting steps
 - For product issues, suggest common solutions
 - If unclear, ask for more details
+- State policies (return windows, refund timing, warranty terms, fees, shipping times) ONLY from the knowledge base articles above, and list the numbers of the articles you used in "citations"
+- If the articles don't cover the question, say you don't have that information rather than guessing, and offer to connect the user with a person
+${languageInstruction(options.language)}
+- Set requiresHuman when the problem needs a person: refunds you can't resolve, fraud, safety issues, repeated failed fixes, or the user asking for a human
 
 Respond with ONLY a JSON object containing:
 {
   "response": "your support response",
   "requiresHuman": boolean,
-  "nextSteps": ["array", "of", "suggested", "actions"]
+  "nextSteps": ["array", "of", "suggested", "actions"],
+  "category": "order" | "shipping" | "returns" | "billing" | "account" | "product" | "technical" | "other",
+  "priority": "low" | "normal" | "high" | "urgent",
+  "citations": [1]
 }`;
 
-    const result = await googleModel.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-
-    // Parse the response
-    let parsed;
-    try {
-      parsed = JSON.parse(text);
-    } catch (e) {
-      const jsonMatch = text.match(/\{.*\}/s);
-      if (jsonMatch) {
-        parsed = JSON.parse(jsonMatch[0]);
-      } else {
-        parsed = {
-          response: text,
-          requiresHuman: true,
-          nextSteps: ["Please provide more details about your issue"],
-        };
+    const { data: parsed } = await generateJson(
+      "support_text",
+      [{ role: "user", content: prompt }],
+      {
+        // Stream the support reply to the caller as it is generated
+        onChunk: options.onToken
+          ? createJsonFieldStreamer("response", options.onToken)
+          : undefined,
+        validate: (parsed) => {
+          if (!parsed.response) {
+            throw new Error("No response found in LLM output");
+          }
+        },
       }
-    }
+    );
 
-    if (!parsed.response) {
-      throw new Error("No response found in Gemini output");
-    }
+    // Cite what the model says it used, or every article it was given
+    const cited = (Array.isArray(parsed.citations) ? parsed.citations : [])
+      .map((number) => passages[Number(number) - 1])
+      .filter(Boolean);
 
     return {
       success: true,
       ...parsed,
+      grounded: passages.length > 0,
+      citations: [...new Set(cited.length > 0 ? cited : passages)].map(
+        (passage) => ({
+          id: passage.id,
+          title: passage.title,
+          section: passage.section,
+          source: passage.source,
+        })
+      ),
     };
   } catch (error) {
-    console.error("Gemini support text processing error:", error);
+    logger.error("Support text processing failed", { error });
     throw new Error(`Failed to process support text: ${error.message}`);
   }
 }
@@ -539,50 +1371,25 @@ Respond ONLY with the JSON object. Use double quotes for all keys and values.`;
       },
     ];
 
-    const chatCompletion = await groq.chat.completions.create({
-      messages,
-      model: "meta-llama/llama-4-scout-17b-16e-instruct",
-      temperature: 0.3,
-      max_tokens: 1024,
-      response_format: { type: "json_object" },
+    const { data: parsed } = await generateJson("support_image", messages, {
+      // Ensure required fields exist
+      validate: (parsed) => {
+        if (
+          !parsed.description ||
+          !Array.isArray(parsed.issues) ||
+          !Array.isArray(parsed.suggestions)
+        ) {
+          throw new Error("Invalid response format");
+        }
+      },
     });
 
-    const response = chatCompletion.choices[0]?.message?.content;
-    if (!response) {
-      throw new Error("Empty response from Groq API");
-    }
-
-    let parsed;
-    try {
-      parsed = JSON.parse(response);
-    } catch (e) {
-      // Fallback response if JSON parsing fails
-      parsed = {
-        description: "Image not processed",
-        issues: [],
-        suggestions: [],
-      };
-    }
-
-    // Ensure required fields exist
-    if (
-      !parsed.description ||
-      !Array.isArray(parsed.issues) ||
-      !Array.isArray(parsed.suggestions)
-    ) {
-      parsed = {
-        description: "Invalid response format",
-        issues: [],
-        suggestions: [],
-      };
-    }
-
     return {
       success: true,
       ...parsed,
     };
   } catch (error) {
-    console.error("Groq image processing error:", error);
+    logger.error("Support image processing failed", { error });
     // Return a standardized error response
     return {
       success: false,
@@ -595,7 +1402,7 @@ Respond ONLY with the JSON object. Use double quotes for all keys and values.`;
 }
 
 //rank product recommendations function
-async function rankProductRecommendations(products, userQuery) {
+async function rankProductRecommendations(products, userQuery, options = {}) {
   if (!products || !Array.isArray(products)) {
     throw new Error("Invalid products data structure");
   }
@@ -604,51 +1411,35 @@ async function rankProductRecommendations(products, userQuery) {
     throw new Error("No products available");
   }
 
-  // Take first 3 products and format them consistently
-  const topProducts = products.slice(0, 5).map((product, index) => {
-    // Extract title/name
-    const title = product.product_title || "N/A";
-
-    // Extract price
-    const price = product.product_price || "N/A";
-
-    // Extract image
-    const image = product.product_photo || "N/A";
-
-    // Extract product link
-    const link =
-      product.product_url ||
-      `https://www.amazon.com/s?k=${encodeURIComponent(title)}`;
-
-    // Extract shipping info
-    const shipping = product.delivery || "N/A";
-
-    // Extract rating if available
-    const rating = product.product_star_rating
-      ? `${product.product_star_rating}/5 (${
-          product.product_num_ratings || 0
-        } reviews)`
-      : "Not rated";
-
-    return {
-      rank: index + 1,
-      title,
-      price,
-      link,
-      image,
-      shipping,
-      rating,
-      reason: "Top matching results",
-    };
+  // Score against the original transcript and keep the top 5
+  const ranked = await rankByRelevance(products, userQuery, {
+    ...options,
+    limit: 5,
   });
 
-  return topProducts;
+  return ranked.map(({ product, reason, score }, index) =>
+    formatRankedProduct(product, index + 1, reason, score)
+  );
 }
 //product recommendations function
 export async function getShoppingRecommendations(
   transcript,
-  messageHistory = []
+  messageHistory = [],
+  options = {}
 ) {
+  const response = await recommendForTranscript(
+    transcript,
+    messageHistory,
+    options
+  );
+  return localizeResponse(
+    response,
+    options.language || "en",
+    createAgentEvents()
+  );
+}
+
+async function recommendForTranscript(transcript, messageHistory, options) {
   try {
     if (!transcript || typeof transcript !== "string") {
       return {
@@ -657,12 +1448,25 @@ export async function getShoppingRecommendations(
       };
     }
 
-    console.log("Step 1: Getting search query from user input...");
+    const followUp = await answerFollowUp(
+      transcript,
+      options.context,
+      createAgentEvents(),
+      rankProductRecommendations
+    );
+    if (followUp) {
+      return followUp;
+    }
+
     let searchResult;
     try {
-      searchResult = await handleShoppingIntent(transcript, messageHistory);
+      searchResult = await timeStep("query_extraction", () =>
+        handleShoppingIntent(transcript, messageHistory, {
+          marketplace: options.context?.marketplace,
+        })
+      );
     } catch (error) {
-      console.error("Search query extraction failed:", error);
+      logger.error("Search query extraction failed", { error });
       return {
         error: "Failed to understand product request",
         message: "Could you please clarify what product you're looking for?",
@@ -671,56 +1475,22 @@ export async function getShoppingRecommendations(
     }
 
     const searchQuery = searchResult.searchQuery;
-    console.log("Search query extracted:", searchQuery);
-
-    console.log("Step 2: Fetching products from API...");
-    let productResults;
-    try {
-      productResults = await searchProducts(searchQuery);
-    } catch (error) {
-      console.error(" API failed:", error);
-      return {
-        error: "Failed to fetch products",
-        message:
-          "Sorry, I couldn't search for products right now. Please try again later.",
-        details: error.message,
-      };
-    }
-
-    console.log("Step 3: Ranking products...");
-    let topProducts;
-    try {
-      topProducts = await rankProductRecommendations(
-        productResults,
-        transcript
-      );
-    } catch (error) {
-      console.error("Product ranking failed:", error);
-      return {
-        error: "Failed to rank products",
-        message:
-          "I found some products but couldn't rank them properly. Please try again.",
-        details: error.message,
-      };
-    }
-
-    if (!topProducts || topProducts.length === 0) {
-      return {
-        error: "No suitable products found",
-        message:
-          "I couldn't find any suitable products for your request. Try being more specific.",
-      };
-    }
-
-    return {
-      intent: "shopping",
-      success: true,
-      query: searchQuery,
-      recommendations: topProducts,
-      message: `Here are my top ${topProducts.length} recommendations for "${searchQuery}":`,
-    };
+    const constraints = searchResult.constraints;
+    logger.info("Search query extracted", { constraints });
+    logger.debug("Search query", { searchQuery });
+
+    return await recommendProducts(
+      transcript,
+      searchQuery,
+      constraints,
+      createAgentEvents(),
+      {
+        rank: rankProductRecommendations,
+        marketplace: options.context?.marketplace,
+      }
+    );
   } catch (error) {
-    console.error("Error in getmessagefromGroq:", error);
+    logger.error("Agent pipeline failed", { error });
     return {
       error: "System error",
       message: "Sorry, something went wrong. Please try again.",
@@ -49,3 +49,56 @@ export const clarifications = [
   "I need a bit more context to help you. Can you clarify your request?",
   "I'm not entirely sure what you mean. Could you please clarify?",
 ];
+
+// Greetings and clarifications for the other reply languages in
+// language.js. English uses the lists above.
+export const localizedGreetings = {
+  hi: [
+    "नमस्ते! मैं आपका शॉपिंग असिस्टेंट हूँ। बताइए, आज आप क्या ढूँढ रहे हैं?",
+    "हैलो! मैं सही प्रोडक्ट ढूँढने में आपकी मदद करूँगा। आपको क्या चाहिए?",
+    "स्वागत है! प्रोडक्ट, डील्स या तुलना, जो भी चाहिए, बस पूछिए।",
+  ],
+  "hi-Latn": [
+    "Namaste! Main aapka shopping assistant hoon. Bataiye, aaj aap kya dhoondh rahe hain?",
+    "Hello! Sahi product dhoondhne mein main aapki madad karunga. Aapko kya chahiye?",
+    "Swagat hai! Products, deals ya comparison, jo bhi chahiye, bas poochiye.",
+  ],
+  es: [
+    "¡Hola! Soy tu asistente de compras. ¿Qué estás buscando hoy?",
+    "¡Bienvenido! Te ayudo a encontrar justo lo que necesitas. ¿En qué te ayudo?",
+    "¡Hola! Pídeme productos, ofertas o comparaciones cuando quieras.",
+  ],
+  fr: [
+    "Bonjour ! Je suis votre assistant shopping. Que recherchez-vous aujourd'hui ?",
+    "Bienvenue ! Je vous aide à trouver exactement ce qu'il vous faut. Que puis-je faire pour vous ?",
+    "Bonjour ! Demandez-moi des produits, des offres ou des comparaisons.",
+  ],
+  de: [
+    "Hallo! Ich bin Ihr Einkaufsassistent. Wonach suchen Sie heute?",
+    "Willkommen! Ich helfe Ihnen, genau das Richtige zu finden. Was brauchen Sie?",
+    "Hallo! Fragen Sie mich nach Produkten, Angeboten oder Vergleichen.",
+  ],
+};
+
+export const localizedClarifications = {
+  hi: [
+    "माफ़ कीजिए, मैं ठीक से समझ नहीं पाया। क्या आप दोबारा बता सकते हैं?",
+    "क्या आप थोड़ा और बता सकते हैं कि आप क्या ढूँढ रहे हैं?",
+  ],
+  "hi-Latn": [
+    "Maaf kijiye, main theek se samajh nahi paaya. Kya aap dobara bata sakte hain?",
+    "Kya aap thoda aur bata sakte hain ki aap kya dhoondh rahe hain?",
+  ],
+  es: [
+    "No estoy seguro de haberte entendido. ¿Puedes decirlo de otra forma?",
+    "¿Me das un poco más de detalle sobre lo que buscas?",
+  ],
+  fr: [
+    "Je ne suis pas sûr d'avoir compris. Pouvez-vous reformuler ?",
+    "Pouvez-vous m'en dire un peu plus sur ce que vous cherchez ?",
+  ],
+  de: [
+    "Das habe ich nicht ganz verstanden. Können Sie es anders formulieren?",
+    "Können Sie mir etwas mehr darüber sagen, wonach Sie suchen?",
+  ],
+};
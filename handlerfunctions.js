@@ -1,23 +1,26 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { sanitizeMessageHistory } from "./functions.js";
-import { Groq } from "groq-sdk";
-import { greetings } from "./greetings_voice_bot.js"; // Import greetings directly
+import { greetings, localizedGreetings } from "./greetings_voice_bot.js"; // Import greetings directly
+import { createJsonFieldStreamer } from "./streaming.js";
+import { normalizeConstraints } from "./shopping_constraints.js";
+import { generateJson } from "./llm_client.js";
+import { LANGUAGES, languageInstruction } from "./language.js";
+import { getMarketplace } from "./marketplaces.js";
+import { getShoppingCurrency } from "./product_sources.js";
+import { logger } from "./logger.js";
+import { recordPipelineFallback } from "./metrics.js";
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
-
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
-export async function handleShoppingQuery(transcript, messageHistory = []) {
+export async function handleShoppingQuery(
+  transcript,
+  messageHistory = [],
+  options = {}
+) {
   if (!transcript || typeof transcript !== "string") {
     throw new Error("Invalid transcript parameter");
   }
 
   const sanitizedHistory = sanitizeMessageHistory(messageHistory);
 
-  // Prepare the prompt for Gemini
+  // Prepare the prompt
   const prompt = `You are a smart shopping assistant. Based on the user's request, analyze their message and respond appropriately with helpful shopping guidance.
 
 User's message: ${transcript}
@@ -33,6 +36,7 @@ Response Requirements:
 - If the user asks for help deciding between broad categories, provide guidance on how to choose
 - If the user asks about deals, promotions, or general shopping tips, provide relevant advice
 - If the user asks "what should I buy for..." without specifics, suggest general categories or considerations
+${languageInstruction(options.language)}
 
 Respond with ONLY a JSON-formatted message containing your shopping advice in the following format:
 {
@@ -40,32 +44,26 @@ Respond with ONLY a JSON-formatted message containing your shopping advice in th
 }`;
 
   try {
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-
-    // Parse the response (Gemini might return text that needs to be extracted as JSON)
-    let parsed;
-    try {
-      // Try to parse directly if it's JSON
-      parsed = JSON.parse(text);
-    } catch (e) {
-      // If not JSON, extract the JSON part from the response
-      const jsonMatch = text.match(/\{.*\}/s);
-      if (jsonMatch) {
-        parsed = JSON.parse(jsonMatch[0]);
-      } else {
-        // If no JSON found, wrap the entire response as a message
-        parsed = { message: text };
+    const { data: parsed } = await generateJson(
+      "general_shopping",
+      [{ role: "user", content: prompt }],
+      {
+        // Stream the advice to the caller as it is generated
+        onChunk: options.onToken
+          ? createJsonFieldStreamer("message", options.onToken)
+          : undefined,
+        validate: (parsed) => {
+          if (!parsed.message) {
+            throw new Error("No message found in response");
+          }
+        },
       }
-    }
-
-    if (!parsed.message) {
-      throw new Error("No message found in response");
-    }
-    return parsed;
+    );
+    // Written in the user's language; the fallbacks below are English
+    return { ...parsed, localized: true };
   } catch (error) {
-    console.error("Error in handleShoppingQuery with Gemini:", error);
+    logger.error("General shopping answer failed", { error });
+    recordPipelineFallback("general_shopping");
 
     // Fallback responses (same as before)
     if (
@@ -102,12 +100,22 @@ Respond with ONLY a JSON-formatted message containing your shopping advice in th
   }
 }
 
-export async function handleShoppingIntent(transcript, messageHistory = []) {
+// Search query and constraints for a shopping request. Budgets are read in
+// the currency of `options.marketplace` (see getShoppingCurrency), and the
+// query is written in the language its catalog is searched in.
+export async function handleShoppingIntent(
+  transcript,
+  messageHistory = [],
+  options = {}
+) {
   if (!transcript || typeof transcript !== "string") {
     throw new Error("Invalid transcript parameter");
   }
 
   const sanitizedHistory = sanitizeMessageHistory(messageHistory);
+  const { language } = getMarketplace(options.marketplace);
+  const currency = getShoppingCurrency(options.marketplace);
+  const catalogLanguage = LANGUAGES[language];
 
   const messages = [
     {
@@ -135,6 +143,26 @@ export async function handleShoppingIntent(transcript, messageHistory = []) {
 
 For birthday party requests, suggest appropriate party supplies, decorations, or gifts.
 Keep the search query simple and focused on the main product type.
+
+Also extract any shopping constraints the user stated into a "constraints" object, using null for anything not mentioned:
+{
+  "searchQuery": "wireless headphones",
+  "category": "electronics",
+  "constraints": {
+    "minPrice": null,
+    "maxPrice": 50,
+    "brand": "Sony",
+    "minRating": 4,
+    "condition": null,
+    "fastShipping": false
+  }
+}
+- "minPrice" and "maxPrice" are plain numbers in ${currency}
+- "minRating" is a star rating between 1 and 5
+- "condition" is one of "new", "used" or "renewed"
+- "fastShipping" is true only if the user wants quick delivery (e.g. "by tomorrow", "Prime", "fast shipping")
+Do not put price, rating or shipping words into the search query.
+The catalog is searched in ${catalogLanguage}: if the user speaks another language, translate the product words so "searchQuery" is always in ${catalogLanguage}.
 IMPORTANT: Your response must be valid JSON format only, no additional text.`,
     },
     ...sanitizedHistory,
@@ -145,53 +173,109 @@ IMPORTANT: Your response must be valid JSON format only, no additional text.`,
   ];
 
   try {
-    const chatCompletion = await groq.chat.completions.create({
-      messages,
-      model: "llama-3.3-70b-versatile",
-      temperature: 0.3,
-      max_tokens: 256,
-      response_format: { type: "json_object" },
-      stream: false,
+    const { data: parsed } = await generateJson("shopping_query", messages, {
+      validate: (parsed) => {
+        if (!parsed.searchQuery) {
+          throw new Error("No search query found in response");
+        }
+      },
     });
 
-    const response = chatCompletion.choices[0]?.message?.content;
-    if (!response?.trim()) {
-      throw new Error("Empty response from Groq API");
+    return {
+      ...parsed,
+      constraints: normalizeConstraints(
+        parsed.constraints,
+        transcript,
+        currency
+      ),
+    };
+  } catch (error) {
+    logger.error("Search query extraction failed", { error });
+    if (
+      transcript.toLowerCase().includes("birthday") ||
+      transcript.toLowerCase().includes("party")
+    ) {
+      recordPipelineFallback("query_extraction");
+      return {
+        searchQuery: "birthday party supplies",
+        category: "party supplies",
+        constraints: normalizeConstraints({}, transcript, currency),
+      };
     }
+    throw new Error(`Search query extraction failed: ${error.message}`);
+  }
+}
 
-    try {
-      const parsed = JSON.parse(response);
-      if (!parsed.searchQuery) {
-        throw new Error("No search query found in response");
-      }
-      return parsed;
-    } catch (parseError) {
-      console.error("JSON parsing error:", parseError);
-      if (
-        transcript.toLowerCase().includes("birthday") ||
-        transcript.toLowerCase().includes("party")
-      ) {
-        return {
-          searchQuery: "birthday party supplies",
-          category: "party supplies",
-        };
-      }
-      throw new Error(`Failed to parse Groq response: ${parseError.message}`);
-    }
+// Split "Sony XM5 vs Bose QC45" style requests when the LLM is unavailable
+function splitComparedProducts(transcript) {
+  return transcript
+    .replace(/^.*?\b(compare|between)\b/i, "")
+    .split(/\s*(?:\bvs\.?|\bversus\b|\bcompared to\b|\bor\b|\band\b|,)\s*/i)
+    .map((name) => name.replace(/[?.!]+$/, "").trim())
+    .filter((name) => name.split(/\s+/).length <= 8 && name.length > 1);
+}
+
+// Extract the products named in a comparison request, e.g. "is the Sony
+// XM5 better than the Bose QC45?" -> ["Sony XM5", "Bose QC45"]
+export async function handleCompareIntent(transcript, messageHistory = []) {
+  if (!transcript || typeof transcript !== "string") {
+    throw new Error("Invalid transcript parameter");
+  }
+
+  const sanitizedHistory = sanitizeMessageHistory(messageHistory);
+
+  const messages = [
+    {
+      role: "system",
+      content: `You are a smart shopping assistant. The user wants to compare products. Extract each product they named as a short search query and respond with ONLY a JSON object:
+{
+  "products": ["sony wh-1000xm5 headphones", "bose quietcomfort 45 headphones"],
+  "category": "electronics"
+}
+- List every product mentioned, in the order mentioned
+- Keep brand and model names; drop filler words
+- If the user refers to products from earlier in the conversation, name them from the conversation context
+- Write the product queries in English, translating generic product words if the user speaks another language
+IMPORTANT: Your response must be valid JSON format only, no additional text.`,
+    },
+    ...sanitizedHistory,
+    {
+      role: "user",
+      content: transcript,
+    },
+  ];
+
+  try {
+    const { data: parsed } = await generateJson("compare_query", messages, {
+      validate: (parsed) => {
+        if (!Array.isArray(parsed.products)) {
+          throw new Error("No product list found in response");
+        }
+      },
+    });
+
+    return {
+      ...parsed,
+      products: parsed.products
+        .filter((name) => typeof name === "string" && name.trim())
+        .map((name) => name.trim()),
+    };
   } catch (error) {
-    console.error("Groq API error:", error);
-    throw new Error(`Groq API failed: ${error.message}`);
+    logger.error("Comparison extraction failed", { error });
+    recordPipelineFallback("compare_query");
+    return { products: splitComparedProducts(transcript), category: "general" };
   }
 }
 
-function getRandomIndex(max) {
+export function getRandomIndex(max) {
   const array = new Uint32Array(1);
   crypto.getRandomValues(array);
   return array[0] % max;
 }
 
-export async function handleGreetingIntent() {
-  const response = greetings[getRandomIndex(greetings.length)];
+export async function handleGreetingIntent(language = "en") {
+  const choices = localizedGreetings[language] || greetings;
+  const response = choices[getRandomIndex(choices.length)];
   return {
     intent: "greeting",
     message: response,
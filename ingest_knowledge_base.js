@@ -0,0 +1,13 @@
+import { ingestKnowledgeBase } from "./knowledge_base.js";
+
+// Rebuild the support knowledge base index from data/kb (or KB_DIR)
+try {
+  const { indexFile, documentCount, passageCount } =
+    await ingestKnowledgeBase();
+  console.log(
+    `Indexed ${passageCount} passages from ${documentCount} documents into ${indexFile}`
+  );
+} catch (error) {
+  console.error("Knowledge base ingestion failed:", error);
+  process.exit(1);
+}
@@ -0,0 +1,83 @@
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+// In-memory key/value storage, lost on restart
+export function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    async get(key) {
+      return records.get(key) || null;
+    },
+    async set(key, value) {
+      records.set(key, value);
+    },
+    async delete(key) {
+      records.delete(key);
+    },
+    async list() {
+      return [...records.values()];
+    },
+  };
+}
+
+// Key/value storage kept in one JSON file so records survive a restart.
+// `label` names the file in error logs.
+export function createFileStore(filePath, label = "store") {
+  let records = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (records) {
+      return records;
+    }
+
+    try {
+      const raw = await fs.readFile(filePath, "utf8");
+      records = new Map(Object.entries(JSON.parse(raw)));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.error(`Failed to read ${label} file`, { filePath, error });
+      }
+      records = new Map();
+    }
+    return records;
+  }
+
+  // Writes are chained so concurrent requests never interleave on disk
+  function persist() {
+    writeQueue = writeQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(
+          tmpPath,
+          JSON.stringify(Object.fromEntries(records), null, 2)
+        );
+        await fs.rename(tmpPath, filePath);
+      } catch (error) {
+        logger.error(`Failed to write ${label} file`, { filePath, error });
+      }
+    });
+    return writeQueue;
+  }
+
+  return {
+    async get(key) {
+      return (await load()).get(key) || null;
+    },
+    async set(key, value) {
+      (await load()).set(key, value);
+      await persist();
+    },
+    async delete(key) {
+      if ((await load()).delete(key)) {
+        await persist();
+      }
+    },
+    async list() {
+      return [...(await load()).values()];
+    },
+  };
+}
@@ -0,0 +1,256 @@
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+const KB_DIR = process.env.KB_DIR || path.resolve("data", "kb");
+const KB_INDEX_FILE =
+  process.env.KB_INDEX_FILE || path.resolve(".data", "kb_index.json");
+const INDEX_VERSION = 1;
+
+// BM25 tuning, and the score a passage needs to count as relevant. Weak
+// matches trailing far behind the best one are dropped too.
+const K1 = 1.2;
+const B = 0.75;
+const MIN_SCORE = Number(process.env.KB_MIN_SCORE || 1.5);
+const MIN_RELATIVE_SCORE = 0.5;
+const MAX_PASSAGE_WORDS = 150;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by can could do does did for from get got had " +
+    "has have how i i'm if in into is it it's its just me my no not of on or " +
+    "our so than that the their them then there these they this to too up us " +
+    "was we were what when where which who why will with would you your"
+  ).split(" ")
+);
+
+// Lowercased terms with a light suffix strip so "returns" matches "return"
+// and "charged" matches "charge"
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [])
+    .filter((word) => !STOPWORDS.has(word))
+    .map((word) => {
+      if (word.length > 5 && word.endsWith("ing")) {
+        return word.slice(0, -3);
+      }
+      if (word.length > 4 && word.endsWith("ed")) {
+        return word.slice(0, -1);
+      }
+      if (word.length > 4 && word.endsWith("ies")) {
+        return `${word.slice(0, -3)}y`;
+      }
+      if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) {
+        return word.slice(0, -1);
+      }
+      return word;
+    });
+}
+
+// Split long sections on paragraph breaks so one passage stays a few
+// sentences a prompt can quote
+function splitSection(text) {
+  const chunks = [];
+  let current = [];
+  let words = 0;
+
+  for (const paragraph of text.split(/\n\s*\n/).map((p) => p.trim())) {
+    const count = paragraph.split(/\s+/).length;
+    if (current.length > 0 && words + count > MAX_PASSAGE_WORDS) {
+      chunks.push(current.join("\n\n"));
+      current = [];
+      words = 0;
+    }
+    if (paragraph) {
+      current.push(paragraph);
+      words += count;
+    }
+  }
+  if (current.length > 0) {
+    chunks.push(current.join("\n\n"));
+  }
+  return chunks;
+}
+
+// Markdown documents: "# Title" names the document, each "## Heading"
+// starts a section
+function parseMarkdown(docId, raw) {
+  const title = raw.match(/^#\s+(.+)$/m)?.[1].trim() || docId;
+  const sections = raw.split(/^##\s+/m).slice(1);
+  const bodies =
+    sections.length > 0
+      ? sections.map((section) => {
+          const [heading, ...rest] = section.split("\n");
+          return { section: heading.trim(), text: rest.join("\n").trim() };
+        })
+      : [{ section: null, text: raw.replace(/^#\s+.+$/m, "").trim() }];
+
+  return bodies.flatMap(({ section, text }) =>
+    splitSection(text).map((chunk) => ({ title, section, text: chunk }))
+  );
+}
+
+// JSON documents: a list of { question, answer } FAQ entries or
+// { title, text } articles
+function parseJson(docId, raw) {
+  const entries = JSON.parse(raw);
+  if (!Array.isArray(entries)) {
+    throw new Error(`Knowledge base file ${docId}.json must be a list`);
+  }
+
+  return entries
+    .filter((entry) => entry && (entry.answer || entry.text))
+    .map((entry) => ({
+      title: entry.title || "Frequently Asked Questions",
+      section: entry.question || entry.section || null,
+      text: entry.answer || entry.text,
+    }));
+}
+
+export async function loadDocuments(dir = KB_DIR) {
+  const files = (await fs.readdir(dir))
+    .filter((file) => /\.(md|json)$/i.test(file))
+    .sort();
+  const passages = [];
+
+  for (const file of files) {
+    const docId = path.basename(file, path.extname(file));
+    const raw = await fs.readFile(path.join(dir, file), "utf8");
+    const parsed = file.toLowerCase().endsWith(".json")
+      ? parseJson(docId, raw)
+      : parseMarkdown(docId, raw);
+
+    parsed.forEach((passage, index) => {
+      passages.push({
+        id: `${docId}#${index + 1}`,
+        docId,
+        source: file,
+        ...passage,
+      });
+    });
+  }
+  return passages;
+}
+
+// Term frequencies per passage plus the document frequencies BM25 needs.
+// Section headings count toward a passage's terms.
+export function buildIndex(passages) {
+  const docFreq = {};
+  const indexed = passages.map((passage) => {
+    const terms = tokenize(
+      [passage.title, passage.section, passage.text].filter(Boolean).join(" ")
+    );
+    const counts = {};
+    for (const term of terms) {
+      counts[term] = (counts[term] || 0) + 1;
+    }
+    for (const term of Object.keys(counts)) {
+      docFreq[term] = (docFreq[term] || 0) + 1;
+    }
+    return { ...passage, length: terms.length, terms: counts };
+  });
+
+  const totalLength = indexed.reduce((sum, passage) => sum + passage.length, 0);
+  return {
+    version: INDEX_VERSION,
+    builtAt: new Date().toISOString(),
+    passageCount: indexed.length,
+    averageLength: indexed.length ? totalLength / indexed.length : 0,
+    docFreq,
+    passages: indexed,
+  };
+}
+
+// Read the documents, build the index and write it where the server
+// loads it from. Run with `npm run ingest:kb` after editing data/kb.
+export async function ingestKnowledgeBase({
+  dir = KB_DIR,
+  indexFile = KB_INDEX_FILE,
+} = {}) {
+  const index = buildIndex(await loadDocuments(dir));
+  await fs.mkdir(path.dirname(indexFile), { recursive: true });
+  await fs.writeFile(indexFile, JSON.stringify(index));
+  return {
+    indexFile,
+    documentCount: new Set(index.passages.map((passage) => passage.docId)).size,
+    passageCount: index.passageCount,
+  };
+}
+
+let indexPromise = null;
+
+// The ingested index, or one built from the documents on first use when
+// nothing has been ingested yet
+async function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = (async () => {
+      try {
+        const index = JSON.parse(await fs.readFile(KB_INDEX_FILE, "utf8"));
+        if (index.version === INDEX_VERSION) {
+          return index;
+        }
+        logger.warn("Knowledge base index is outdated, rebuilding");
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          logger.error("Failed to read knowledge base index", { error });
+        }
+      }
+      try {
+        return buildIndex(await loadDocuments());
+      } catch (error) {
+        logger.error("Failed to load knowledge base", { error });
+        return buildIndex([]);
+      }
+    })();
+  }
+  return indexPromise;
+}
+
+function scorePassage(index, passage, queryTerms) {
+  let score = 0;
+  for (const term of queryTerms) {
+    const frequency = passage.terms[term];
+    if (!frequency) {
+      continue;
+    }
+    const docFreq = index.docFreq[term];
+    const idf = Math.log(
+      1 + (index.passageCount - docFreq + 0.5) / (docFreq + 0.5)
+    );
+    score +=
+      (idf * frequency * (K1 + 1)) /
+      (frequency +
+        K1 * (1 - B + (B * passage.length) / (index.averageLength || 1)));
+  }
+  return score;
+}
+
+// Best matching passages for a question, most relevant first. Returns an
+// empty list when nothing scores high enough to be worth quoting.
+export async function searchKnowledgeBase(query, { limit = 3 } = {}) {
+  const queryTerms = [...new Set(tokenize(query || ""))];
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  const index = await loadIndex();
+  const ranked = index.passages
+    .map((passage) => ({
+      passage,
+      score: scorePassage(index, passage, queryTerms),
+    }))
+    .filter(({ score }) => score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+  return ranked
+    .filter(({ score }) => score >= ranked[0].score * MIN_RELATIVE_SCORE)
+    .slice(0, limit)
+    .map(({ passage, score }) => ({
+      id: passage.id,
+      docId: passage.docId,
+      source: passage.source,
+      title: passage.title,
+      section: passage.section,
+      text: passage.text,
+      score: Number(score.toFixed(2)),
+    }));
+}
@@ -0,0 +1,108 @@
+import { generateJson } from "./llm_client.js";
+import { logger } from "./logger.js";
+import { recordPipelineFallback } from "./metrics.js";
+
+// Reply languages, as BCP 47 tags. "hi-Latn" is Hindi typed or transcribed
+// in Latin script (Hinglish), which gets replies in the same script.
+export const LANGUAGES = {
+  en: "English",
+  hi: "Hindi",
+  "hi-Latn": "Hindi written in Latin script (Hinglish)",
+  es: "Spanish",
+  fr: "French",
+  de: "German",
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+// Common short words per language. Latin-script transcripts are scored by
+// how many of each set they use.
+const MARKERS = {
+  en: "the is are i i'm you and to for a an my me want need show what with it this that of please",
+  "hi-Latn":
+    "namaste mujhe muje chahiye chaiye hai hain kya ka ki ke liye aur mera meri nahi nahin dikhao batao kaun sasta accha acha wala wali koi kuch se ko bhi kaisa kitna kitne",
+  es: "hola el la los las que de quiero necesito para un una por es mi con y busco muestra del",
+  fr: "bonjour le la les je un une des pour est et mon ma avec veux cherche du besoin montre",
+  de: "hallo der die das ich ein eine und ist für mit mein meine suche brauche nicht zu zeig",
+};
+const MARKER_SETS = Object.fromEntries(
+  Object.entries(MARKERS).map(([code, words]) => [
+    code,
+    new Set(words.split(" ")),
+  ])
+);
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+export function isSupportedLanguage(code) {
+  return Object.hasOwn(LANGUAGES, code);
+}
+
+// Language of a transcript. Replies too short to tell ("ok", "the Sony")
+// keep the conversation's language.
+export function detectLanguage(text, fallback = DEFAULT_LANGUAGE) {
+  if (!text || typeof text !== "string") {
+    return fallback;
+  }
+  if (DEVANAGARI.test(text)) {
+    return "hi";
+  }
+
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  const scores = Object.entries(MARKER_SETS)
+    .map(([code, markers]) => ({
+      code,
+      score: words.filter((word) => markers.has(word)).length,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.score === 0 || best.score === runnerUp.score) {
+    return fallback;
+  }
+  return best.code;
+}
+
+// Prompt line asking the LLM to answer in the user's language
+export function languageInstruction(language) {
+  if (!language || language === DEFAULT_LANGUAGE) {
+    return "";
+  }
+  return `- Write every user-facing sentence in ${LANGUAGES[language]}, the language the user is speaking. Keep product names, brands, prices and reference numbers as they are.`;
+}
+
+// Translate a fixed English reply into the user's language. Falls back to
+// the English text when translation fails, since some answer beats none.
+export async function localizeText(text, language) {
+  if (!text || !language || language === DEFAULT_LANGUAGE) {
+    return text;
+  }
+
+  try {
+    const { data } = await generateJson(
+      "translate",
+      [
+        {
+          role: "system",
+          content: `Translate the shopping assistant's reply into ${LANGUAGES[language]}. It will be read aloud, so keep it natural and conversational.
+- Keep product names, brands, prices, order numbers and ticket references unchanged
+- Do not add or remove information
+Respond with ONLY a JSON object: {"text": "the translated reply"}`,
+        },
+        { role: "user", content: text },
+      ],
+      {
+        validate: (parsed) => {
+          if (typeof parsed.text !== "string" || !parsed.text.trim()) {
+            throw new Error("Translation is missing text");
+          }
+        },
+      }
+    );
+    return data.text;
+  } catch (error) {
+    logger.error("Translation failed", { language, error: error.message });
+    recordPipelineFallback("translation");
+    return text;
+  }
+}
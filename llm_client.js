@@ -0,0 +1,581 @@
+import fs from "fs";
+import { Groq } from "groq-sdk";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { logger } from "./logger.js";
+import { recordLlmFallback, recordBudgetDegradation } from "./metrics.js";
+import { recordUsage, isOverBudget } from "./usage.js";
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 20000);
+const DEFAULT_BUDGET_MODEL =
+  process.env.LLM_BUDGET_MODEL || "groq:llama-3.1-8b-instant";
+
+// Model settings per task. Each target is "provider:model"; the fallback is
+// tried when the primary errors, times out or returns unusable output.
+// Override with LLM_<TASK>_MODEL / LLM_<TASK>_FALLBACK, e.g.
+// LLM_INTENT_MODEL=groq:llama-3.1-8b-instant
+// Once a usage budget is spent, `optional` tasks are skipped, since their
+// callers have a non-LLM fallback, and the rest run on the budget model
+// (LLM_BUDGET_MODEL, or the task's own `budgetModel`).
+export const TASKS = {
+  intent: {
+    model: "groq:llama3-8b-8192",
+    fallback: "gemini:gemini-2.5-flash",
+    temperature: 0.2,
+    maxTokens: 100,
+  },
+  shopping_query: {
+    model: "groq:llama-3.3-70b-versatile",
+    fallback: "gemini:gemini-2.5-flash",
+    temperature: 0.3,
+    maxTokens: 256,
+  },
+  general_shopping: {
+    model: "gemini:gemini-2.5-flash",
+    fallback: "groq:llama-3.3-70b-versatile",
+    temperature: 0.7,
+    maxTokens: 512,
+  },
+  support_text: {
+    model: "gemini:gemini-2.5-flash",
+    fallback: "groq:llama-3.3-70b-versatile",
+    temperature: 0.4,
+    maxTokens: 1024,
+  },
+  support_image: {
+    model: "groq:meta-llama/llama-4-scout-17b-16e-instruct",
+    fallback: "gemini:gemini-2.5-flash",
+    // The text-only budget model can't read images
+    budgetModel: "groq:meta-llama/llama-4-scout-17b-16e-instruct",
+    temperature: 0.3,
+    maxTokens: 1024,
+  },
+  compare_query: {
+    model: "groq:llama-3.3-70b-versatile",
+    fallback: "gemini:gemini-2.5-flash",
+    temperature: 0.2,
+    maxTokens: 256,
+  },
+  review_summary: {
+    model: "groq:llama-3.3-70b-versatile",
+    fallback: "gemini:gemini-2.5-flash",
+    temperature: 0.2,
+    maxTokens: 512,
+  },
+  translate: {
+    model: "groq:llama-3.3-70b-versatile",
+    fallback: "gemini:gemini-2.5-flash",
+    optional: true,
+    temperature: 0.2,
+    maxTokens: 512,
+  },
+  rerank: {
+    model: "groq:llama-3.3-70b-versatile",
+    fallback: "gemini:gemini-2.5-flash",
+    optional: true,
+    temperature: 0.1,
+    maxTokens: 512,
+  },
+};
+
+function parseTarget(target) {
+  const separator = target.indexOf(":");
+  if (separator === -1) {
+    throw new Error(`Invalid LLM target "${target}", expected provider:model`);
+  }
+  return {
+    provider: target.slice(0, separator),
+    model: target.slice(separator + 1),
+  };
+}
+
+export function getTaskConfig(task) {
+  const config = TASKS[task];
+  if (!config) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const envPrefix = `LLM_${task.toUpperCase()}`;
+  const fallback = process.env[`${envPrefix}_FALLBACK`] ?? config.fallback;
+  return {
+    ...config,
+    primary: parseTarget(process.env[`${envPrefix}_MODEL`] || config.model),
+    fallback: fallback ? parseTarget(fallback) : null,
+    budget: parseTarget(
+      process.env[`${envPrefix}_BUDGET_MODEL`] ||
+        config.budgetModel ||
+        DEFAULT_BUDGET_MODEL
+    ),
+  };
+}
+
+// Groq chat completions; messages pass through in OpenAI format
+export function createGroqProvider(options = {}) {
+  const groq = new Groq({
+    apiKey: options.apiKey || process.env.GROQ_API_KEY,
+  });
+
+  function buildRequest(request) {
+    return {
+      messages: request.messages,
+      model: request.model,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      response_format: request.json ? { type: "json_object" } : undefined,
+    };
+  }
+
+  function toUsage(usage) {
+    return {
+      inputTokens: usage?.prompt_tokens || 0,
+      outputTokens: usage?.completion_tokens || 0,
+    };
+  }
+
+  return {
+    name: "groq",
+    async complete(request) {
+      const chatCompletion = await groq.chat.completions.create(
+        { ...buildRequest(request), stream: false },
+        { signal: request.signal }
+      );
+      return {
+        text: chatCompletion.choices[0]?.message?.content || "",
+        usage: toUsage(chatCompletion.usage),
+      };
+    },
+    async stream(request, onChunk) {
+      const stream = await groq.chat.completions.create(
+        { ...buildRequest(request), stream: true },
+        { signal: request.signal }
+      );
+
+      let text = "";
+      let usage;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onChunk(delta);
+        }
+        usage = chunk.x_groq?.usage || usage;
+      }
+      return { text, usage: toUsage(usage) };
+    },
+  };
+}
+
+// Turn OpenAI-style content (string or text/image parts) into Gemini parts
+function toGeminiParts(content) {
+  if (typeof content === "string") {
+    return [{ text: content }];
+  }
+
+  return content.map((part) => {
+    if (part.type === "image_url") {
+      const match = part.image_url.url.match(/^data:([^;]+);base64,(.*)$/s);
+      if (!match) {
+        throw new Error("Gemini only accepts inline base64 images");
+      }
+      return { inlineData: { mimeType: match[1], data: match[2] } };
+    }
+    return { text: part.text };
+  });
+}
+
+// Google Gemini; system messages become the system instruction
+export function createGeminiProvider(options = {}) {
+  const genAI = new GoogleGenerativeAI(
+    options.apiKey || process.env.GOOGLE_API_KEY
+  );
+
+  function buildRequest(request) {
+    const system = request.messages
+      .filter((message) => message.role === "system")
+      .map((message) => message.content)
+      .join("\n\n");
+
+    const model = genAI.getGenerativeModel({
+      model: request.model,
+      systemInstruction: system || undefined,
+    });
+
+    return {
+      model,
+      body: {
+        contents: request.messages
+          .filter((message) => message.role !== "system")
+          .map((message) => ({
+            role: message.role === "assistant" ? "model" : "user",
+            parts: toGeminiParts(message.content),
+          })),
+        // maxOutputTokens is left unset: 2.5 models spend part of the
+        // output budget on thinking and truncate short limits
+        generationConfig: {
+          temperature: request.temperature,
+          responseMimeType: request.json ? "application/json" : undefined,
+        },
+      },
+    };
+  }
+
+  function toUsage(usageMetadata) {
+    return {
+      inputTokens: usageMetadata?.promptTokenCount || 0,
+      outputTokens: usageMetadata?.candidatesTokenCount || 0,
+    };
+  }
+
+  return {
+    name: "gemini",
+    async complete(request) {
+      const { model, body } = buildRequest(request);
+      const result = await model.generateContent(body, {
+        signal: request.signal,
+      });
+      return {
+        text: result.response.text(),
+        usage: toUsage(result.response.usageMetadata),
+      };
+    },
+    async stream(request, onChunk) {
+      const { model, body } = buildRequest(request);
+      const result = await model.generateContentStream(body, {
+        signal: request.signal,
+      });
+
+      let text = "";
+      for await (const chunk of result.stream) {
+        const delta = chunk.text();
+        if (delta) {
+          text += delta;
+          onChunk(delta);
+        }
+      }
+      const response = await result.response;
+      return { text, usage: toUsage(response.usageMetadata) };
+    },
+  };
+}
+
+function lastUserText(messages) {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  if (!last) {
+    return "";
+  }
+  if (typeof last.content === "string") {
+    return last.content;
+  }
+  return last.content
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join(" ");
+}
+
+// Canned answers so the whole server runs offline with LLM_PROVIDER=fake
+function defaultFakeResponse(task, messages) {
+  const text = lastUserText(messages);
+  const lower = text.toLowerCase();
+
+  switch (task) {
+    case "intent":
+      if (
+        /^(hi|hello|hey|good (morning|afternoon|evening)|thanks|thank you|bye|namaste|hola|hallo|bonjour)\b/.test(
+          lower
+        ) &&
+        !/\b(buy|need|want|looking for|do you have|sell)\b/.test(lower)
+      ) {
+        return { intent: "greeting", confidence: 0.9 };
+      }
+      if (/\b(compare|vs|versus|difference between)\b/.test(lower)) {
+        return { intent: "compare", confidence: 0.9 };
+      }
+      if (/\b(my (order|package|delivery)|orders?)\b/.test(lower)) {
+        return { intent: "order_support", confidence: 0.85 };
+      }
+      if (/\b(sell|sales?|deals?|promotions?|gift|shop)\b/.test(lower)) {
+        return { intent: "general_shopping", confidence: 0.8 };
+      }
+      if (
+        /\b(buy|need|want|looking for|find|recommend|do you have|chahiye|dikhao)\b/.test(
+          lower
+        )
+      ) {
+        return { intent: "shopping", confidence: 0.9 };
+      }
+      return {
+        intent: "unclear",
+        confidence: 0.4,
+        clarification: "Are you looking for a product or just saying hello?",
+      };
+    case "shopping_query":
+      return {
+        searchQuery:
+          lower
+            .replace(
+              /\b(i|i'm|im|need|want|looking for|to buy|buy|some|a|an|the|please|find me|do you have|mujhe|muje|chahiye|chaiye|dikhao|kuch|koi|ke liye)\b/g,
+              " "
+            )
+            .replace(/[^a-z0-9 ]/g, " ")
+            .replace(/\s+/g, " ")
+            .trim() || "popular products",
+        category: "general",
+        constraints: {},
+      };
+    case "compare_query":
+      return {
+        products: lower
+          .replace(/^.*?\b(compare|between)\b/, "")
+          .split(/\s*(?:\bvs\.?|\bversus\b|\bor\b|\band\b|,)\s*/)
+          .map((name) => name.replace(/[^a-z0-9 -]/g, "").trim())
+          .filter(Boolean),
+        category: "general",
+      };
+    case "translate":
+      // No real translation offline; the reply comes back unchanged
+      return { text };
+    case "review_summary":
+      return {
+        pros: ["Good value"],
+        cons: [],
+        complaints: [],
+        sentiment: "positive",
+        summary: "Reviewers are generally happy with it.",
+      };
+    case "general_shopping":
+      return {
+        message:
+          "Think about your budget and how you'll use the item, then compare a few well-reviewed options.",
+      };
+    case "support_text":
+      return {
+        response:
+          "I'm sorry you're having trouble. Could you share your order number and a few more details?",
+        requiresHuman: false,
+        nextSteps: ["Share your order number"],
+      };
+    case "support_image":
+      return {
+        description: "Image received",
+        issues: [],
+        suggestions: [],
+      };
+    default:
+      return {};
+  }
+}
+
+// Deterministic provider for offline runs and tests. `responses` maps a task
+// to a fixed reply (string or object) or a function of the request.
+export function createFakeProvider(responses = {}) {
+  async function respond(request) {
+    const configured = responses[request.task];
+    let reply =
+      typeof configured === "function"
+        ? await configured(request)
+        : configured ?? defaultFakeResponse(request.task, request.messages);
+
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return typeof reply === "string" ? reply : JSON.stringify(reply);
+  }
+
+  return {
+    name: "fake",
+    async complete(request) {
+      return {
+        text: await respond(request),
+        usage: { inputTokens: 0, outputTokens: 0 },
+      };
+    },
+    async stream(request, onChunk) {
+      const text = await respond(request);
+      // Emit in small pieces so streaming consumers see several tokens
+      for (let i = 0; i < text.length; i += 8) {
+        onChunk(text.slice(i, i + 8));
+      }
+      return { text, usage: { inputTokens: 0, outputTokens: 0 } };
+    },
+  };
+}
+
+// Fixed fake replies from LLM_FAKE_RESPONSES, a JSON file keyed by task
+export function loadFakeResponses() {
+  if (!process.env.LLM_FAKE_RESPONSES) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(process.env.LLM_FAKE_RESPONSES, "utf8"));
+}
+
+const providerFactories = {
+  groq: createGroqProvider,
+  gemini: createGeminiProvider,
+  fake: () => createFakeProvider(loadFakeResponses()),
+};
+const providers = new Map();
+
+// Providers are created on first use so a missing key for an unused
+// provider does not stop the server from starting
+function getProvider(name) {
+  // LLM_PROVIDER=fake routes every task to the offline provider
+  const resolved = process.env.LLM_PROVIDER === "fake" ? "fake" : name;
+
+  if (!providers.has(resolved)) {
+    const factory = providerFactories[resolved];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${resolved}`);
+    }
+    providers.set(resolved, factory());
+  }
+  return providers.get(resolved);
+}
+
+// Swap in a provider, e.g. a fake one for tests
+export function setProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+async function withTimeout(run, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`LLM request timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Pull a JSON object out of model output that may be wrapped in prose or
+// a markdown code fence
+export function parseJsonResponse(text) {
+  if (!text || !text.trim()) {
+    throw new Error("Empty response from LLM");
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const jsonMatch = text.match(/\{.*\}/s);
+    if (!jsonMatch) {
+      throw new Error("No JSON object found in LLM response");
+    }
+    return JSON.parse(jsonMatch[0]);
+  }
+}
+
+// Run one task against its primary target, failing over to the fallback.
+// `handle` turns the raw text into the caller's result and throws when the
+// output is unusable, which also triggers failover. Every attempt is
+// metered, failed ones included.
+async function runTask(task, messages, options, handle) {
+  const config = getTaskConfig(task);
+  const overBudget = isOverBudget();
+  if (overBudget) {
+    recordBudgetDegradation(task, config.optional ? "skipped" : "budget_model");
+  }
+  if (overBudget && config.optional) {
+    throw new Error(`Skipped ${task}: usage budget reached`);
+  }
+  const targets = overBudget
+    ? [config.budget]
+    : [config.primary, config.fallback].filter(Boolean);
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const failures = [];
+
+  for (const [attempt, target] of targets.entries()) {
+    if (attempt > 0) {
+      recordLlmFallback(task, target.provider);
+    }
+    let streamed = false;
+    let usage = null;
+    const startedAt = Date.now();
+    const meter = (error) =>
+      recordUsage({
+        provider: target.provider,
+        model: target.model,
+        operation: task,
+        ...usage,
+        latencyMs: Date.now() - startedAt,
+        error,
+      });
+
+    try {
+      const provider = getProvider(target.provider);
+      const request = {
+        task,
+        model: target.model,
+        messages,
+        temperature: options.temperature ?? config.temperature,
+        maxTokens: options.maxTokens ?? config.maxTokens,
+        json: options.json,
+      };
+
+      const result = await withTimeout((signal) => {
+        if (!options.onChunk) {
+          return provider.complete({ ...request, signal });
+        }
+        return provider.stream({ ...request, signal }, (chunk) => {
+          streamed = true;
+          options.onChunk(chunk);
+        });
+      }, timeoutMs);
+      usage = result.usage;
+
+      const handled = await handle(result.text);
+      meter(null);
+      return {
+        ...handled,
+        usage: result.usage,
+        provider: target.provider,
+        model: target.model,
+      };
+    } catch (error) {
+      logger.error("LLM task failed", {
+        task,
+        provider: target.provider,
+        model: target.model,
+        error: error.message,
+      });
+      failures.push(`${target.provider}: ${error.message}`);
+      meter(error.message);
+
+      // Tokens already reached the client, so a retry would repeat them
+      if (streamed) {
+        break;
+      }
+    }
+  }
+
+  throw new Error(
+    `All LLM providers failed for ${task} (${failures.join("; ")})`
+  );
+}
+
+// Plain text completion. Pass onChunk to stream the output.
+export async function generateText(task, messages, options = {}) {
+  return runTask(task, messages, options, (text) => {
+    if (!text.trim()) {
+      throw new Error("Empty response from LLM");
+    }
+    return { text };
+  });
+}
+
+// JSON completion, parsed and checked with options.validate, which should
+// throw on output the caller cannot use
+export async function generateJson(task, messages, options = {}) {
+  return runTask(task, messages, { ...options, json: true }, (text) => {
+    const data = parseJsonResponse(text);
+    if (options.validate) {
+      options.validate(data);
+    }
+    return { data };
+  });
+}
@@ -0,0 +1,75 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+// LOG_LEVEL=debug|info|warn|error. Transcripts and message contents are
+// only logged at debug.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL]
+  ? process.env.LOG_LEVEL
+  : "info";
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// The request being served, so every line logged while handling it, down
+// to upstream calls, carries its id
+const requestContext = new AsyncLocalStorage();
+
+export function getRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, stack: error.stack };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    requestId: getRequestId() ?? undefined,
+    ...fields,
+  };
+  if (fields.error instanceof Error) {
+    entry.error = serializeError(fields.error);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// One JSON object per line: time, level, msg, requestId and any fields.
+// An `error` field holding an Error is logged with its stack.
+export const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+// Middleware that gives each request an id, taken from x-request-id when
+// the caller sent a usable one, returns it as X-Request-Id and logs the
+// request once the response is done
+export function logRequests(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id = REQUEST_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const startedAt = Date.now();
+  res.once("finish", () =>
+    logger.info("Request finished", {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      apiKey: req.apiClient?.id,
+    })
+  );
+  requestContext.run({ requestId: req.id }, next);
+}
@@ -0,0 +1,98 @@
+// Currencies the marketplaces price in. `words` are how people say the
+// currency out loud; `decimalComma` currencies write 1.299,99.
+export const CURRENCIES = {
+  USD: {
+    symbol: "$",
+    locale: "en-US",
+    words: ["dollars", "dollar", "bucks", "usd"],
+  },
+  INR: {
+    symbol: "₹",
+    locale: "en-IN",
+    words: ["rupees", "rupee", "rs", "inr"],
+  },
+  GBP: {
+    symbol: "£",
+    locale: "en-GB",
+    words: ["pounds", "pound", "quid", "gbp"],
+  },
+  EUR: {
+    symbol: "€",
+    locale: "de-DE",
+    words: ["euros", "euro", "eur"],
+    decimalComma: true,
+  },
+};
+
+// Amazon storefronts a user can shop in. `country` and `language` are what
+// the RapidAPI sources expect; `domain` builds product links.
+export const MARKETPLACES = {
+  US: { domain: "amazon.com", country: "US", language: "en", currency: "USD" },
+  IN: { domain: "amazon.in", country: "IN", language: "en", currency: "INR" },
+  UK: {
+    domain: "amazon.co.uk",
+    country: "GB",
+    language: "en",
+    currency: "GBP",
+  },
+  DE: { domain: "amazon.de", country: "DE", language: "de", currency: "EUR" },
+};
+
+export function isSupportedMarketplace(code) {
+  return typeof code === "string" && Object.hasOwn(MARKETPLACES, code);
+}
+
+// Server-wide default, MARKETPLACE=US|IN|UK|DE
+export const DEFAULT_MARKETPLACE = process.env.MARKETPLACE || "US";
+if (!isSupportedMarketplace(DEFAULT_MARKETPLACE)) {
+  throw new Error(`Unknown marketplace: ${DEFAULT_MARKETPLACE}`);
+}
+
+// Settings for a marketplace code, the default one when none is given
+export function getMarketplace(code) {
+  const resolved = isSupportedMarketplace(code) ? code : DEFAULT_MARKETPLACE;
+  return { code: resolved, ...MARKETPLACES[resolved] };
+}
+
+function currencyInfo(currency) {
+  return CURRENCIES[currency] || CURRENCIES.USD;
+}
+
+// Rewrite a number in the currency's own notation the way JavaScript reads
+// it: "1.299,99" -> "1299.99" for euros, "2,499" -> "2499" otherwise. Euro
+// amounts only get the decimal comma when they're shaped like one, so a
+// "€1,299.99" pasted from an English listing still reads as 1299.99.
+export function normalizeAmountText(text, currency = "USD") {
+  if (currencyInfo(currency).decimalComma) {
+    text = text.replace(/\b\d{1,3}(?:\.\d{3})*,\d{2}\b/g, (amount) =>
+      amount.replace(/\./g, "").replace(",", ".")
+    );
+  }
+  return text.replace(/(\d),(?=\d)/g, "$1");
+}
+
+// "$1,299.99", "₹2,499.00", "1.299,99 €". Whole budgets drop the cents.
+export function formatMoney(amount, currency = "USD", { cents = true } = {}) {
+  const digits = !cents && Number.isInteger(amount) ? 0 : 2;
+  try {
+    return new Intl.NumberFormat(currencyInfo(currency).locale, {
+      style: "currency",
+      currency,
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(amount);
+  } catch {
+    // Not an ISO currency code, e.g. a garbled upstream value
+    return `${amount.toFixed(digits)} ${currency}`;
+  }
+}
+
+export function productLink(asin, marketplace) {
+  return `https://www.${getMarketplace(marketplace).domain}/dp/${asin}`;
+}
+
+export function searchLink(query, marketplace) {
+  return `https://www.${
+    getMarketplace(marketplace).domain
+  }/s?k=${encodeURIComponent(query)}`;
+}
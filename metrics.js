@@ -0,0 +1,228 @@
+import { logger } from "./logger.js";
+
+// A minimal Prometheus registry: counters and histograms with labels,
+// rendered in the text exposition format for /metrics
+const registry = [];
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort());
+}
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function createCounter(name, help) {
+  const series = new Map();
+  registry.push({
+    name,
+    help,
+    type: "counter",
+    render: () =>
+      [...series.values()].map(
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`
+      ),
+  });
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, value: 0 });
+      }
+      series.get(key).value += amount;
+    },
+  };
+}
+
+function createHistogram(name, help, buckets = DURATION_BUCKETS) {
+  const series = new Map();
+  registry.push({
+    name,
+    help,
+    type: "histogram",
+    render: () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map(
+          (bound, index) =>
+            `${name}_bucket${formatLabels({ ...labels, le: bound })} ${
+              counts[index]
+            }`
+        ),
+        `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+  });
+
+  return {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, {
+          labels,
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+  };
+}
+
+function createGauge(name, help, read) {
+  registry.push({
+    name,
+    help,
+    type: "gauge",
+    render: () => [`${name} ${read()}`],
+  });
+}
+
+const httpRequests = createCounter(
+  "http_requests_total",
+  "HTTP requests by method, route and status"
+);
+const httpDuration = createHistogram(
+  "http_request_duration_seconds",
+  "HTTP request latency by method and route"
+);
+const intents = createCounter(
+  "agent_intents_total",
+  "Replies by the intent they served"
+);
+const stepDuration = createHistogram(
+  "pipeline_step_duration_seconds",
+  "Time spent in each agent pipeline step"
+);
+const upstreamRequests = createCounter(
+  "upstream_requests_total",
+  "LLM, speech and RapidAPI calls by provider, operation and outcome"
+);
+const upstreamDuration = createHistogram(
+  "upstream_request_duration_seconds",
+  "Upstream call latency by provider and operation"
+);
+const upstreamTokens = createCounter(
+  "upstream_tokens_total",
+  "LLM tokens by provider, model and direction"
+);
+const llmFallbacks = createCounter(
+  "llm_fallbacks_total",
+  "LLM tasks retried on their fallback model"
+);
+const llmBudgetDegradations = createCounter(
+  "llm_budget_degradations_total",
+  "LLM tasks skipped or moved to the budget model once a usage budget was spent"
+);
+const pipelineFallbacks = createCounter(
+  "pipeline_fallbacks_total",
+  "Pipeline steps that fell back to a non-LLM answer after a failure"
+);
+createGauge("process_uptime_seconds", "Seconds since the server started", () =>
+  process.uptime()
+);
+createGauge(
+  "process_resident_memory_bytes",
+  "Resident memory of the server process",
+  () => process.memoryUsage().rss
+);
+
+// Middleware counting each request and its latency once the response is
+// done. Routes are labelled by their Express pattern, so ids stay out of
+// the label values.
+export function measureRequests(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.once("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+}
+
+export function recordIntent(intent) {
+  if (intent) {
+    intents.inc({ intent });
+  }
+}
+
+// Run one pipeline step, recording how long it took
+export async function timeStep(step, run) {
+  const startedAt = process.hrtime.bigint();
+  let failed = false;
+  try {
+    return await run();
+  } catch (error) {
+    failed = true;
+    throw error;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    stepDuration.observe({ step }, seconds);
+    logger.info("Pipeline step finished", {
+      step,
+      durationMs: Math.round(seconds * 1000),
+      failed,
+    });
+  }
+}
+
+export function observeUpstreamCall(call) {
+  const labels = { provider: call.provider, operation: call.operation };
+  upstreamRequests.inc({
+    ...labels,
+    outcome: call.error ? "error" : "success",
+  });
+  upstreamDuration.observe(labels, call.latencyMs / 1000);
+
+  const model = { provider: call.provider, model: call.model };
+  if (call.inputTokens) {
+    upstreamTokens.inc({ ...model, direction: "input" }, call.inputTokens);
+  }
+  if (call.outputTokens) {
+    upstreamTokens.inc({ ...model, direction: "output" }, call.outputTokens);
+  }
+}
+
+export function recordLlmFallback(task, provider) {
+  llmFallbacks.inc({ task, provider });
+}
+
+export function recordBudgetDegradation(task, action) {
+  llmBudgetDegradations.inc({ task, action });
+}
+
+export function recordPipelineFallback(step) {
+  pipelineFallbacks.inc({ step });
+}
+
+export function renderMetrics() {
+  return `${registry
+    .flatMap((metric) => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.render(),
+    ])
+    .join("\n")}\n`;
+}
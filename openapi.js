@@ -0,0 +1,154 @@
+import { ZodOptional } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { ROUTES, ErrorEnvelope } from "./api_schemas.js";
+
+function toJsonSchema(schema) {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, {
+    target: "openApi3",
+    $refStrategy: "none",
+  });
+  return jsonSchema;
+}
+
+// Path and query schemas become one parameter per field
+function toParameters(location, schema) {
+  if (!schema) {
+    return [];
+  }
+  return Object.entries(schema.shape).map(([name, field]) => ({
+    name,
+    in: location,
+    required: location === "path" || !field.isOptional(),
+    ...(field.description ? { description: field.description } : {}),
+    schema: toJsonSchema(field instanceof ZodOptional ? field.unwrap() : field),
+  }));
+}
+
+function toRequestBody(route) {
+  if (!route.body) {
+    return undefined;
+  }
+
+  const schema = toJsonSchema(route.body);
+  const content = { "application/json": { schema } };
+  if (route.multipart) {
+    content["multipart/form-data"] = {
+      schema: {
+        ...schema,
+        properties: {
+          ...schema.properties,
+          ...Object.fromEntries(
+            Object.entries(route.multipart).map(([name, description]) => [
+              name,
+              { type: "string", format: "binary", description },
+            ])
+          ),
+        },
+      },
+    };
+  }
+  return { required: true, content };
+}
+
+// Non-JSON responses, named in ROUTES in place of a schema
+const RAW_RESPONSES = {
+  audio: {
+    description: "Audio clip",
+    content: {
+      "audio/*": { schema: { type: "string", format: "binary" } },
+    },
+  },
+  metrics: {
+    description: "Prometheus text exposition format",
+    content: { "text/plain": { schema: { type: "string" } } },
+  },
+};
+
+function toResponses(route) {
+  const responses = {};
+  for (const [status, schema] of Object.entries(route.responses)) {
+    responses[status] = RAW_RESPONSES[schema] || {
+      description: "Success",
+      content: { "application/json": { schema: toJsonSchema(schema) } },
+    };
+  }
+
+  const error = (description) => ({
+    description,
+    content: {
+      "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+    },
+  });
+  if (route.params || route.query || route.body) {
+    responses[400] = error("Invalid request");
+  }
+  if (!route.public) {
+    responses[401] = error(
+      route.admin
+        ? "Missing or wrong API key or x-admin-token"
+        : "Missing or wrong API key"
+    );
+    responses[403] = error(
+      route.admin
+        ? "Origin not allowed for this API key, or admin endpoints are disabled"
+        : "Origin not allowed for this API key"
+    );
+    responses[429] = error("Rate limit or daily quota exceeded");
+  }
+  responses.default = error("Error");
+  return responses;
+}
+
+// Every route takes an API key unless it is public; admin routes need the
+// admin token as well
+function routeSecurity(route) {
+  if (route.public) {
+    return [];
+  }
+  return [route.admin ? { apiKey: [], adminToken: [] } : { apiKey: [] }];
+}
+
+// OpenAPI 3 document for every route declared in ROUTES
+export function buildOpenApiDocument({ version = "1.0.0" } = {}) {
+  const paths = {};
+  for (const [key, route] of Object.entries(ROUTES)) {
+    const [method, expressPath] = key.split(" ");
+    const path = expressPath.replace(/:(\w+)/g, "{$1}");
+
+    paths[path] = paths[path] || {};
+    paths[path][method.toLowerCase()] = {
+      summary: route.summary,
+      ...(route.description ? { description: route.description } : {}),
+      tags: [route.tag],
+      security: routeSecurity(route),
+      parameters: [
+        ...toParameters("path", route.params),
+        ...toParameters("query", route.query),
+      ],
+      requestBody: toRequestBody(route),
+      responses: toResponses(route),
+    };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Voice shopping assistant API",
+      version,
+    },
+    paths,
+    components: {
+      schemas: { Error: toJsonSchema(ErrorEnvelope) },
+      securitySchemes: {
+        apiKey: {
+          type: "apiKey",
+          in: "header",
+          name: "x-api-key",
+          description:
+            "Also accepted as Authorization: Bearer <key>. Responses carry RateLimit-* and X-Quota-* headers.",
+        },
+        adminToken: { type: "apiKey", in: "header", name: "x-admin-token" },
+      },
+    },
+  };
+}
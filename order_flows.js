@@ -0,0 +1,366 @@
+import { findOrdinals } from "./followups.js";
+import { isValidOrderId } from "./order_service.js";
+
+// Slots each flow fills before it runs, in the order they are asked for
+const FLOWS = {
+  track_order: ["orderId"],
+  start_return: ["orderId", "itemId", "reason"],
+  request_refund: ["orderId", "itemId", "reason"],
+  cancel_order: ["orderId", "reason"],
+};
+
+// Failed answers for one slot before the flow gives up
+const MAX_ATTEMPTS = 3;
+
+// Questions about the policy itself go to support, not into a flow
+const POLICY_QUESTION =
+  /\b(policy|policies|how long|how many days|how do (returns|refunds)|do you (accept|offer|allow))\b/;
+
+// Words that tie a request to an order the user already placed. Without
+// one, "headphones I can return" or "a money back guarantee" is a product
+// search, and the intent classifier decides.
+const ORDER_REFERENCE =
+  /\b(my|our|the) (last |latest |recent )?(order|package|parcel|delivery|shipment|purchase)s?\b|\bi (ordered|bought|purchased|received)\b|\border (number |no\.? |#)?\d/;
+
+const ABANDON =
+  /^(never ?mind|forget (it|that|about it)|stop|cancel that|no thanks?|nothing)\b/;
+
+const REASON_PATTERNS = [
+  ["damaged", /\b(damaged|broken|cracked|smashed|dented|shattered)\b/],
+  [
+    "defective",
+    /\b(defective|faulty|doesn'?t work|does not work|stopped working|won'?t (turn on|charge|connect|pair))\b/,
+  ],
+  [
+    "wrong_item",
+    /\bwrong (item|size|colou?r|product|model|one)\b|\bnot what i ordered\b/,
+  ],
+  [
+    "missing",
+    /\b(missing|never (arrived|came|showed up)|didn'?t (arrive|come)|not delivered|lost|stolen)\b/,
+  ],
+  [
+    "not_as_described",
+    /\bnot as (described|advertised|pictured)\b|\bdifferent from the (picture|photo|description)\b/,
+  ],
+  ["better_price", /\b(cheaper|better price|lower price|for less)\b/],
+  [
+    "not_needed",
+    /\b(don'?t (need|want)|no longer (need|want)|changed my mind|by mistake|accident(ally)?|too (big|small|late)|doesn'?t fit)\b/,
+  ],
+];
+
+const ORDER_NUMBER_EXAMPLE = "112-4839201-5567012";
+
+// Which order flow a request starts, or null when it isn't about an
+// existing order. The request has to mention the order ("my order", "I
+// ordered", an order number) unless `anyOrder` says it is already known to
+// be about one.
+export function parseOrderRequest(transcript, { anyOrder = false } = {}) {
+  if (!transcript || typeof transcript !== "string") {
+    return null;
+  }
+
+  const lower = transcript.toLowerCase();
+  if (POLICY_QUESTION.test(lower)) {
+    return null;
+  }
+  if (
+    !anyOrder &&
+    !ORDER_REFERENCE.test(lower) &&
+    !extractOrderId(transcript).orderId
+  ) {
+    return null;
+  }
+  if (/\bcancel\b/.test(lower) && /\b(order|purchase)\b/.test(lower)) {
+    return "cancel_order";
+  }
+  if (/\b(refund|money back|reimburse)\b/.test(lower)) {
+    return "request_refund";
+  }
+  if (/\b(return|send (it|them|this|that) back)\b/.test(lower)) {
+    return "start_return";
+  }
+  if (
+    /\b(track|tracking|where('?s| is| are)|status of|hasn'?t|has not|didn'?t|never)\b/.test(
+      lower
+    ) &&
+    /\b(order|package|parcel|delivery|shipment)\b/.test(lower)
+  ) {
+    return "track_order";
+  }
+  return null;
+}
+
+// Order numbers are read out with spaces, dashes or the word "dash" between
+// digit groups, e.g. "one one two dash ...". Returns { orderId } when a
+// full number was heard, { invalid: true } for a partial one.
+export function extractOrderId(transcript) {
+  const spoken = transcript
+    .toLowerCase()
+    .replace(/\b(dash|hyphen)\b/g, "-")
+    .replace(
+      /\b(zero|oh|one|two|three|four|five|six|seven|eight|nine)\b/g,
+      (word) =>
+        ({
+          zero: "0",
+          oh: "0",
+          one: "1",
+          two: "2",
+          three: "3",
+          four: "4",
+          five: "5",
+          six: "6",
+          seven: "7",
+          eight: "8",
+          nine: "9",
+        }[word])
+    );
+
+  const runs = spoken.match(/\d[\d\s-]*\d/g) || [];
+  for (const run of runs) {
+    const digits = run.replace(/\D/g, "");
+    if (digits.length === 17) {
+      const orderId = `${digits.slice(0, 3)}-${digits.slice(
+        3,
+        10
+      )}-${digits.slice(10)}`;
+      return isValidOrderId(orderId) ? { orderId } : { invalid: true };
+    }
+  }
+  const longest = Math.max(
+    0,
+    ...runs.map((run) => run.replace(/\D/g, "").length)
+  );
+  return longest >= 6 ? { invalid: true } : {};
+}
+
+// Reason code from the words used. With `answer` set, any other reply
+// counts as an "other" reason since the user was asked for one.
+export function extractReason(transcript, { answer = false } = {}) {
+  const lower = transcript.toLowerCase();
+  const match = REASON_PATTERNS.find(([, pattern]) => pattern.test(lower));
+  if (match) {
+    return { reason: match[0], reasonText: transcript.trim() };
+  }
+  if (answer && lower.split(/\s+/).filter(Boolean).length >= 2) {
+    return { reason: "other", reasonText: transcript.trim() };
+  }
+  return null;
+}
+
+function shortTitle(title) {
+  return title.split(/[,(]/)[0].split(/\s+/).slice(0, 4).join(" ");
+}
+
+// The item meant by "the second one", "the headphones", "the Anker". Orders
+// with one item need no answer.
+function matchItem(transcript, items) {
+  if (items.length === 1) {
+    return items[0];
+  }
+
+  const lower = transcript.toLowerCase();
+  const [ordinal] = findOrdinals(lower, items.length);
+  if (ordinal !== undefined) {
+    return items[ordinal];
+  }
+
+  const spoken = new Set(lower.match(/[a-z][a-z0-9]{2,}/g) || []);
+  const scored = items
+    .map((item) => ({
+      item,
+      score: (
+        item.title.toLowerCase().match(/[a-z][a-z0-9]{2,}/g) || []
+      ).filter((word) => spoken.has(word) || spoken.has(`${word}s`)).length,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return scored[0].score > 0 && scored[0].score > (scored[1]?.score || 0)
+    ? scored[0].item
+    : null;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+// Last four digits are enough for a listener to recognise the order
+function spokenOrder(orderId) {
+  return `Your order ending in ${orderId.slice(-4)}`;
+}
+
+export function describeTracking(order) {
+  const name = spokenOrder(order.id);
+  const tracking = order.tracking;
+
+  switch (order.status) {
+    case "processing":
+      return `${name} is being prepared and hasn't shipped yet.${
+        order.estimatedDelivery
+          ? ` It should arrive by ${formatDate(order.estimatedDelivery)}.`
+          : ""
+      }`;
+    case "shipped":
+      return `${name} is on its way${
+        tracking ? ` with ${tracking.carrier}` : ""
+      }.${tracking?.lastEvent ? ` Latest update: ${tracking.lastEvent}.` : ""}${
+        order.estimatedDelivery
+          ? ` It should arrive by ${formatDate(order.estimatedDelivery)}.`
+          : ""
+      }`;
+    case "delivered":
+      return `${name} was delivered${
+        order.deliveredAt ? ` on ${formatDate(order.deliveredAt)}` : ""
+      }.${
+        tracking?.lastEvent
+          ? ` ${tracking.carrier} says: ${tracking.lastEvent}.`
+          : ""
+      }`;
+    case "cancelled":
+      return `${name} was cancelled.`;
+    default:
+      return `${name} is ${order.status}.`;
+  }
+}
+
+function question(flow, slot, order) {
+  if (slot === "orderId") {
+    return "What's your order number? It's the 17 digit number in your order confirmation email.";
+  }
+  if (slot === "itemId") {
+    const names = order.items.map((item) => `the ${shortTitle(item.title)}`);
+    return `Which item is it: ${names.slice(0, -1).join(", ")} or ${
+      names[names.length - 1]
+    }?`;
+  }
+  return {
+    start_return: "Why are you returning it?",
+    request_refund: "What went wrong with it?",
+    cancel_order: "Why would you like to cancel the order?",
+  }[flow];
+}
+
+export function startOrderFlow(flow, slots = {}) {
+  return { flow, slots, attempts: 0, awaiting: null };
+}
+
+// Fill what this turn says, then ask for the next missing slot or run the
+// flow against the order service. Returns { message, state, order, result }
+// where state is null once the flow is done, or null overall when a pending
+// flow doesn't recognise the reply so the normal pipeline can answer it.
+// Only orders belonging to `userId` are found or changed.
+export async function continueOrderFlow(
+  state,
+  transcript,
+  service,
+  { userId }
+) {
+  const lower = transcript.toLowerCase().trim();
+  if (state.awaiting && ABANDON.test(lower)) {
+    return {
+      message: "Okay, I've stopped. Anything else I can help with?",
+      state: null,
+      order: null,
+      result: null,
+    };
+  }
+
+  const slots = { ...state.slots };
+  const needed = FLOWS[state.flow];
+  let filled = false;
+  let problem = null;
+
+  if (!slots.orderId) {
+    const { orderId, invalid } = extractOrderId(transcript);
+    if (orderId) {
+      slots.orderId = orderId;
+      filled = true;
+    } else if (invalid) {
+      problem = `That doesn't sound like a full order number. Order numbers have 17 digits, like ${ORDER_NUMBER_EXAMPLE}.`;
+    }
+  }
+
+  let order = null;
+  if (slots.orderId) {
+    order = await service.getOrder(slots.orderId, { userId });
+    if (!order) {
+      problem = `I couldn't find order ${slots.orderId} on your account. Could you check the number and read it to me again?`;
+      slots.orderId = null;
+    }
+  }
+
+  if (order && needed.includes("itemId") && !slots.itemId) {
+    const item = matchItem(transcript, order.items);
+    if (item) {
+      slots.itemId = item.itemId;
+      filled = true;
+    }
+  }
+
+  if (needed.includes("reason") && !slots.reason) {
+    const reason = extractReason(transcript, {
+      answer: state.awaiting === "reason",
+    });
+    if (reason) {
+      Object.assign(slots, reason);
+      filled = true;
+    }
+  }
+
+  // A reply that answers nothing is probably a new request. Item names
+  // are the exception: a near miss is asked again.
+  if (state.awaiting && !filled && !problem && state.awaiting !== "itemId") {
+    return null;
+  }
+
+  const missing = needed.find((slot) => !slots[slot]);
+  if (missing) {
+    const attempts =
+      missing === state.awaiting && !filled ? state.attempts + 1 : 0;
+    if (attempts >= MAX_ATTEMPTS) {
+      return {
+        message:
+          "Sorry, I'm having trouble with that. You can also manage your order from the orders page, or ask me to connect you with a person.",
+        state: null,
+        order,
+        result: null,
+      };
+    }
+    return {
+      message: problem || question(state.flow, missing, order),
+      state: { flow: state.flow, slots, attempts, awaiting: missing },
+      order,
+      result: null,
+    };
+  }
+
+  let result;
+  if (state.flow === "track_order") {
+    result = { accepted: true, message: describeTracking(order) };
+  } else if (state.flow === "cancel_order") {
+    result = await service.cancelOrder(order.id, {
+      userId,
+      reason: slots.reason,
+    });
+  } else {
+    const action =
+      state.flow === "start_return" ? "startReturn" : "requestRefund";
+    result = await service[action](order.id, {
+      userId,
+      itemId: slots.itemId,
+      reason: slots.reason,
+    });
+  }
+
+  return {
+    message: result.message,
+    state: null,
+    order: await service.getOrder(order.id, { userId }),
+    result,
+  };
+}
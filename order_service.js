@@ -0,0 +1,286 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { formatMoney } from "./marketplaces.js";
+
+// Matches the 30 day window in data/kb/returns.md
+const RETURN_WINDOW_DAYS = 30;
+const RETURN_DROP_OFF_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ORDER_ID_PATTERN = /^\d{3}-\d{7}-\d{7}$/;
+
+export const RETURN_REASONS = [
+  "damaged",
+  "defective",
+  "wrong_item",
+  "missing",
+  "not_as_described",
+  "better_price",
+  "not_needed",
+  "other",
+];
+
+// Reasons that are our fault: refunded without waiting for the item back
+const FAULT_REASONS = ["damaged", "defective", "wrong_item", "missing"];
+
+export function isValidOrderId(orderId) {
+  return typeof orderId === "string" && ORDER_ID_PATTERN.test(orderId);
+}
+
+// An OrderService backs the order support flows:
+//   getOrder(orderId, { userId }) -> order, or null when there is no such
+//     order or it isn't the user's
+//   startReturn(orderId, { userId, itemId, reason })
+//   requestRefund(orderId, { userId, itemId, reason })
+//   cancelOrder(orderId, { userId, reason })
+// userId is the account the caller's API key signs in as, never one the
+// client names; an order number alone must never be enough to see or
+// change someone else's order. The three actions
+// resolve to { accepted, message, ... } rather than throwing when a policy
+// rule says no or the order isn't the user's. ORDER_SERVICE picks the
+// implementation; only the offline mock ships with the server.
+export function createOrderService() {
+  const name = process.env.ORDER_SERVICE || "mock";
+  if (name !== "mock") {
+    throw new Error(`Unknown order service: ${name}`);
+  }
+  return createMockOrderService(
+    process.env.ORDERS_FILE || path.resolve("data", "orders.json")
+  );
+}
+
+function daysFromNow(days) {
+  return days === undefined || days === null
+    ? null
+    : new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+// Seed orders give dates in days relative to startup so return windows
+// and deliveries stay realistic whenever the mock runs. Prices are in
+// the order's `currency`, USD unless the entry names another.
+function normalizeSeedOrder(entry) {
+  const items = (entry.items || []).map((item) => ({
+    itemId: String(item.itemId),
+    productId: item.productId || null,
+    title: item.title,
+    quantity: item.quantity || 1,
+    price: Number(item.price) || 0,
+    status: "ordered",
+  }));
+
+  return {
+    id: entry.id,
+    userId: entry.userId || null,
+    status: entry.status,
+    placedAt: daysFromNow(-(entry.placedDaysAgo || 0)),
+    deliveredAt:
+      entry.deliveredDaysAgo !== undefined
+        ? daysFromNow(-entry.deliveredDaysAgo)
+        : null,
+    estimatedDelivery: daysFromNow(entry.estimatedDeliveryInDays),
+    paymentMethod: entry.paymentMethod || null,
+    items,
+    currency: entry.currency || "USD",
+    total: Number(
+      items
+        .reduce((sum, item) => sum + item.price * item.quantity, 0)
+        .toFixed(2)
+    ),
+    tracking: entry.tracking || null,
+    returns: [],
+    refunds: [],
+  };
+}
+
+function reference(prefix) {
+  return `${prefix}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+}
+
+function itemTotal(item) {
+  return Number((item.price * item.quantity).toFixed(2));
+}
+
+// Orders from a JSON seed file, changed in memory only. Good enough to run
+// the flows end to end offline; a restart restores the seed.
+export function createMockOrderService(filePath) {
+  let orders = null;
+
+  async function load() {
+    if (orders) {
+      return orders;
+    }
+
+    const entries = JSON.parse(await fs.readFile(filePath, "utf8"));
+    if (!Array.isArray(entries)) {
+      throw new Error("Orders file must be a list of orders");
+    }
+    orders = new Map(
+      entries.map((entry) => [entry.id, normalizeSeedOrder(entry)])
+    );
+    return orders;
+  }
+
+  // Someone else's order is treated as one that doesn't exist, so order
+  // numbers can't be probed
+  async function findOrder(orderId, userId) {
+    const order = (await load()).get(orderId);
+    return order && userId && order.userId === userId ? order : null;
+  }
+
+  async function findItem(orderId, userId, itemId) {
+    const order = await findOrder(orderId, userId);
+    const item = order?.items.find((entry) => entry.itemId === itemId);
+    return { order, item };
+  }
+
+  return {
+    name: "mock",
+
+    async getOrder(orderId, { userId } = {}) {
+      return findOrder(orderId, userId);
+    },
+
+    async startReturn(orderId, { userId, itemId, reason }) {
+      const { order, item } = await findItem(orderId, userId, itemId);
+      if (!order || !item) {
+        return { accepted: false, message: "I couldn't find that item." };
+      }
+      if (order.status !== "delivered") {
+        return {
+          accepted: false,
+          message:
+            order.status === "processing"
+              ? "That order hasn't shipped yet, so you can cancel it instead of returning it."
+              : "That order hasn't been delivered yet. You can start a return once it arrives.",
+        };
+      }
+      if (item.status !== "ordered") {
+        return {
+          accepted: false,
+          message: `The ${item.title} already has a return or refund in progress.`,
+        };
+      }
+
+      const daysSinceDelivery = Math.floor(
+        (Date.now() - new Date(order.deliveredAt).getTime()) / DAY_MS
+      );
+      if (daysSinceDelivery > RETURN_WINDOW_DAYS) {
+        return {
+          accepted: false,
+          message: `That order was delivered ${daysSinceDelivery} days ago, which is past our ${RETURN_WINDOW_DAYS} day return window.`,
+        };
+      }
+
+      item.status = "return_started";
+      const entry = {
+        returnId: reference("RMA"),
+        itemId,
+        reason,
+        refundAmount: itemTotal(item),
+        dropOffBy: daysFromNow(RETURN_DROP_OFF_DAYS),
+        createdAt: new Date().toISOString(),
+      };
+      order.returns.push(entry);
+      return {
+        accepted: true,
+        ...entry,
+        message: `Your return for the ${
+          item.title
+        } is started. A prepaid shipping label is on its way to your email; please drop the package off within ${RETURN_DROP_OFF_DAYS} days. You'll be refunded ${formatMoney(
+          entry.refundAmount,
+          order.currency
+        )} once it reaches our warehouse.`,
+      };
+    },
+
+    async requestRefund(orderId, { userId, itemId, reason }) {
+      const { order, item } = await findItem(orderId, userId, itemId);
+      if (!order || !item) {
+        return { accepted: false, message: "I couldn't find that item." };
+      }
+      if (order.status === "processing") {
+        return {
+          accepted: false,
+          message:
+            "That order hasn't shipped yet. Cancelling it will refund you in full.",
+        };
+      }
+      if (item.status === "refunded") {
+        return {
+          accepted: false,
+          message: `The ${item.title} has already been refunded.`,
+        };
+      }
+      if (item.status === "return_started") {
+        return {
+          accepted: true,
+          status: "pending_return",
+          message: `Your return for the ${item.title} is already open. The refund is issued as soon as the item reaches our warehouse.`,
+        };
+      }
+      if (!FAULT_REASONS.includes(reason)) {
+        return {
+          accepted: false,
+          message: `For items you no longer want, the refund comes through a return. Would you like me to start a return for the ${item.title}?`,
+        };
+      }
+
+      item.status = "refunded";
+      const entry = {
+        refundId: reference("RFD"),
+        itemId,
+        reason,
+        amount: itemTotal(item),
+        status: "pending",
+        createdAt: new Date().toISOString(),
+      };
+      order.refunds.push(entry);
+      return {
+        accepted: true,
+        ...entry,
+        message: `I've issued a refund of ${formatMoney(
+          entry.amount,
+          order.currency
+        )} for the ${item.title} to your ${
+          order.paymentMethod || "original payment method"
+        }. It usually shows up within 5 to 10 business days.`,
+      };
+    },
+
+    async cancelOrder(orderId, { userId, reason }) {
+      const order = await findOrder(orderId, userId);
+      if (!order) {
+        return { accepted: false, message: "I couldn't find that order." };
+      }
+      if (order.status === "cancelled") {
+        return {
+          accepted: false,
+          message: "That order is already cancelled.",
+        };
+      }
+      if (order.status !== "processing") {
+        return {
+          accepted: false,
+          message:
+            "That order has already shipped, so it can't be cancelled. You can return it once it's delivered.",
+        };
+      }
+
+      order.status = "cancelled";
+      order.cancelReason = reason;
+      for (const item of order.items) {
+        item.status = "cancelled";
+      }
+      return {
+        accepted: true,
+        refundAmount: order.total,
+        message: `Your order is cancelled and ${formatMoney(
+          order.total,
+          order.currency
+        )} will go back to your ${
+          order.paymentMethod || "original payment method"
+        } within 5 to 10 business days.`,
+      };
+    },
+  };
+}
@@ -0,0 +1,260 @@
+import path from "path";
+import crypto from "crypto";
+import { createMemoryStore, createFileStore } from "./json_store.js";
+import {
+  getProductOffers,
+  getProductDetails,
+  searchProductSource,
+} from "./product_sources.js";
+import { getMarketplace } from "./marketplaces.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_INTERVAL_MS =
+  Number(process.env.PRICE_WATCH_INTERVAL_MINUTES || 60) * 60 * 1000;
+const MAX_WATCHES_PER_USER = Number(process.env.PRICE_WATCH_MAX_PER_USER || 50);
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// File-backed watch storage; watches must outlive a restart to be useful
+export function createFileWatchStore(filePath) {
+  return createFileStore(filePath, "price watch");
+}
+
+// In-memory watch storage for tests
+export function createMemoryWatchStore() {
+  return createMemoryStore();
+}
+
+export function createWatchStore() {
+  return createFileWatchStore(
+    process.env.PRICE_WATCH_FILE || path.resolve(".data", "price_watches.json")
+  );
+}
+
+// Current price through the existing offers, details and search code, in
+// the marketplace the watch was set in. Returns null when no source knows
+// the product's price.
+export function createPriceClient() {
+  return {
+    async getCurrentPrice(watch) {
+      const options = { marketplace: watch.marketplace };
+      try {
+        const { offers } = await getProductOffers(watch.productId, options);
+        const prices = offers
+          .map((offer) => offer.priceValue)
+          .filter((price) => price !== null);
+        if (prices.length > 0) {
+          return Math.min(...prices);
+        }
+      } catch (error) {
+        logger.error("Offers lookup failed", {
+          productId: watch.productId,
+          error: error.message,
+        });
+      }
+
+      try {
+        const details = await getProductDetails(watch.productId, options);
+        if (details?.priceValue != null) {
+          return details.priceValue;
+        }
+      } catch (error) {
+        logger.error("Details lookup failed", {
+          productId: watch.productId,
+          error: error.message,
+        });
+      }
+
+      if (watch.title) {
+        const products = await searchProductSource(watch.title, options);
+        const match = products.find(
+          (product) =>
+            product.id === watch.productId || product.asin === watch.productId
+        );
+        return match ? match.priceValue : null;
+      }
+      return null;
+    },
+  };
+}
+
+// POST each alert as JSON to PRICE_WATCH_WEBHOOK_URL. Without one, alerts
+// are only logged.
+export function createWebhookNotifier(
+  url = process.env.PRICE_WATCH_WEBHOOK_URL
+) {
+  return async function notify(alert) {
+    if (!url) {
+      logger.info("Price alert (no webhook configured)", { alert });
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(alert),
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+// Watches belong to a userId under the API key that created it, since
+// each key names its own users: another key's "alice" is someone else.
+// `apiKey` is null when API keys are turned off.
+function isOwner(watch, { apiKey = null, userId }) {
+  return watch.userId === userId && (watch.apiKey ?? null) === apiKey;
+}
+
+export async function createWatch(store, input) {
+  const existing = await listWatches(store, input);
+  if (existing.length >= MAX_WATCHES_PER_USER) {
+    throw new Error(
+      `Watch limit reached: at most ${MAX_WATCHES_PER_USER} per user`
+    );
+  }
+
+  const now = new Date().toISOString();
+  const marketplace = getMarketplace(input.marketplace);
+  const watch = {
+    id: crypto.randomUUID(),
+    apiKey: input.apiKey ?? null,
+    userId: input.userId,
+    productId: input.productId,
+    title: input.title || null,
+    marketplace: marketplace.code,
+    currency: input.currency || marketplace.currency,
+    targetPrice: input.targetPrice,
+    currentPrice: input.currentPrice ?? null,
+    status: "active",
+    createdAt: now,
+    lastCheckedAt: null,
+    triggeredAt: null,
+  };
+  await store.set(watch.id, watch);
+  return watch;
+}
+
+// One owner's watches; `owner` is { apiKey, userId }
+export async function listWatches(store, owner) {
+  return (await store.list())
+    .filter((watch) => isOwner(watch, owner))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Delete one of the owner's watches. Returns false if it isn't theirs.
+export async function deleteWatch(store, owner, watchId) {
+  const watch = await store.get(watchId);
+  if (!watch || !isOwner(watch, owner)) {
+    return false;
+  }
+  await store.delete(watchId);
+  return true;
+}
+
+// Re-check active watches on an interval and notify once per watch when
+// the price reaches the target. `client`, `notify` and `intervalMs` can be
+// swapped for tests.
+export function createPriceWatcher({
+  store,
+  client = createPriceClient(),
+  notify = createWebhookNotifier(),
+  intervalMs = DEFAULT_INTERVAL_MS,
+} = {}) {
+  let timer = null;
+  let running = null;
+
+  async function checkWatch(watch) {
+    const price = await client.getCurrentPrice(watch);
+    const checked = {
+      ...watch,
+      currentPrice: price ?? watch.currentPrice,
+      lastCheckedAt: new Date().toISOString(),
+    };
+
+    if (price !== null && price <= watch.targetPrice) {
+      checked.status = "triggered";
+      checked.triggeredAt = checked.lastCheckedAt;
+      try {
+        await notify({
+          event: "price_drop",
+          watchId: watch.id,
+          userId: watch.userId,
+          productId: watch.productId,
+          title: watch.title,
+          targetPrice: watch.targetPrice,
+          price,
+          currency: watch.currency || "USD",
+          checkedAt: checked.lastCheckedAt,
+        });
+      } catch (error) {
+        // Stay active so the next run retries the notification
+        logger.error("Price alert failed", { watchId: watch.id, error });
+        checked.status = "active";
+        checked.triggeredAt = null;
+      }
+    }
+
+    // Don't resurrect a watch the user deleted while it was being checked
+    if (await store.get(watch.id)) {
+      await store.set(watch.id, checked);
+    }
+    return checked;
+  }
+
+  // One pass over every active watch. Overlapping calls share a run.
+  async function checkAll() {
+    if (running) {
+      return running;
+    }
+
+    running = (async () => {
+      const active = (await store.list()).filter(
+        (watch) => watch.status === "active"
+      );
+      let triggered = 0;
+      for (const watch of active) {
+        try {
+          if ((await checkWatch(watch)).status === "triggered") {
+            triggered++;
+          }
+        } catch (error) {
+          logger.error("Price check failed", { watchId: watch.id, error });
+        }
+      }
+      return { checked: active.length, triggered };
+    })();
+
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  return {
+    checkAll,
+    start() {
+      if (timer || intervalMs <= 0) {
+        return;
+      }
+      timer = setInterval(() => {
+        checkAll().catch((error) =>
+          logger.error("Price watch run failed", { error })
+        );
+      }, intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
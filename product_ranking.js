@@ -0,0 +1,418 @@
+import { generateJson } from "./llm_client.js";
+import { logger } from "./logger.js";
+import { recordPipelineFallback } from "./metrics.js";
+import {
+  CURRENCIES,
+  formatMoney,
+  normalizeAmountText,
+} from "./marketplaces.js";
+
+// How much each signal contributes to the final score
+const WEIGHTS = {
+  relevance: 0.4,
+  rating: 0.3,
+  price: 0.2,
+  delivery: 0.1,
+};
+
+// Bayesian prior: a product needs this many ratings before its own
+// average outweighs the assumed average rating
+const PRIOR_RATING = 3.5;
+const PRIOR_RATING_COUNT = 50;
+
+const STOPWORDS = new Set(
+  `a an the and or for of to in on with without from by at is are be i me my
+  we our you your it its this that these those some any can could would should
+  want need looking look find show get buy please good best great nice new
+  under over below above less more than around about between cheap budget
+  price cost something thing things one ones`
+    .split(/\s+/)
+    .concat(Object.values(CURRENCIES).flatMap((currency) => currency.words))
+);
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// "$1,299.99" -> 1299.99, or "1.299,99 €" -> 1299.99 for euros. Returns
+// null when there is no usable number.
+export function parsePrice(price, currency = "USD") {
+  if (typeof price === "number") {
+    return Number.isFinite(price) ? price : null;
+  }
+  if (!price || typeof price !== "string") {
+    return null;
+  }
+
+  const match = normalizeAmountText(price, currency).match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+// Words that make a bare number a price ("under 50"). Others, like
+// "within" or "up to", go as well with days or people, so the amount needs
+// a currency sign or word to count.
+const PRICE_WORDS = "under|below|less than|no more than|cheaper than|budget";
+const CAP_WORDS = "max(?:imum)?|up to|within";
+
+// Units that mean a number isn't money, even after a price word
+const NON_MONEY_UNITS =
+  "days?|hours?|hrs?|weeks?|months?|years?|minutes?|mins?|people|persons?|inch(?:es)?|ft|feet|cm|mm|kg|lbs?|gb|tb|mah|watts?|stars?";
+
+// Pull a spoken budget out of the transcript: "under $50", "less than 100
+// dollars", "between $20 and $40", "around $30". Amounts are read in
+// `currency`, so an Indian shopper's "under 2000 rupees" or "under ₹2000"
+// is a rupee budget.
+export function parseBudget(text, currency = "USD") {
+  if (!text || typeof text !== "string") {
+    return null;
+  }
+
+  const { symbol, words } = CURRENCIES[currency] || CURRENCIES.USD;
+  const currencyWords = words.join("|");
+  const lower = normalizeAmountText(text.toLowerCase(), currency);
+  // The symbol or a currency word before the number ("rs. 500")
+  const sign = `(?:\\${symbol}|\\b(?:${currencyWords})\\.?)`;
+  const number = `(\\d+(?:\\.\\d+)?)(?![\\d.]|\\s*(?:${NON_MONEY_UNITS})\\b)`;
+  const amount = `${sign}?\\s*${number}\\s*(?:(?:${currencyWords})\\b)?`;
+  const currencyMark = new RegExp(`\\${symbol}|\\b(?:${currencyWords})\\b`);
+  const budget = (min, max) => ({ min, max, currency });
+
+  // First match that reads as money: spoken with a currency, or after a
+  // word only prices go with
+  const findMoney = (pattern) =>
+    [...lower.matchAll(new RegExp(pattern, "g"))].find(
+      (match) => match.groups?.price || currencyMark.test(match[0])
+    );
+
+  const range =
+    findMoney(`between\\s+${amount}\\s+(?:and|to)\\s+${amount}`) ||
+    findMoney(`${sign}\\s*${number}\\s*-\\s*${amount}`);
+  if (range) {
+    return budget(Number(range[1]), Number(range[2]));
+  }
+
+  const max = findMoney(
+    `(?:(?<price>${PRICE_WORDS})|${CAP_WORDS})(?:\\s+(?:of|is))?\\s+${amount}`
+  );
+  if (max) {
+    return budget(null, Number(max[2]));
+  }
+
+  const min = findMoney(`(?:over|above|more than|at least)\\s+${amount}`);
+  if (min) {
+    return budget(Number(min[1]), null);
+  }
+
+  const around = findMoney(
+    `(?:around|about|roughly|approximately)\\s+${amount}`
+  );
+  if (around) {
+    const target = Number(around[1]);
+    return budget(target * 0.8, target * 1.2);
+  }
+
+  const bare = findMoney(`\\${symbol}\\s*${number}`);
+  if (bare) {
+    return budget(null, Number(bare[1]));
+  }
+
+  return null;
+}
+
+// Lowercase words with a crude plural fold, so "headphones" matches
+// "headphone". Keeps the spoken word for explanations.
+function extractTerms(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+    .filter((word) => !/^\d+$/.test(word))
+    .map((word) => ({
+      word,
+      stem:
+        word.length > 3 && !word.endsWith("ss") ? word.replace(/s$/, "") : word,
+    }));
+}
+
+function scoreRelevance(title, queryTerms) {
+  if (queryTerms.length === 0) {
+    return { score: 0.5, matched: [] };
+  }
+
+  const titleStems = new Set(extractTerms(title).map((term) => term.stem));
+  const matched = queryTerms
+    .filter((term) => titleStems.has(term.stem))
+    .map((term) => term.word);
+  return { score: matched.length / queryTerms.length, matched };
+}
+
+function scoreRating(product) {
+  const stars = product.rating;
+  const count = product.numRatings || 0;
+
+  if (!Number.isFinite(stars) || stars <= 0) {
+    return { score: PRIOR_RATING / 5, stars: null, count: 0 };
+  }
+
+  const weighted =
+    (count / (count + PRIOR_RATING_COUNT)) * stars +
+    (PRIOR_RATING_COUNT / (count + PRIOR_RATING_COUNT)) * PRIOR_RATING;
+  return { score: weighted / 5, stars, count };
+}
+
+function scorePrice(price, budget) {
+  if (price === null) {
+    return { score: budget ? 0.2 : 0.5, fit: "unknown" };
+  }
+  if (!budget) {
+    return { score: 0.5, fit: "none" };
+  }
+
+  if (budget.max !== null && price > budget.max) {
+    // Slightly over budget is still better than far over it
+    const overBy = (price - budget.max) / budget.max;
+    return { score: Math.max(0, 0.3 - overBy), fit: "over" };
+  }
+  if (budget.min !== null && price < budget.min) {
+    return { score: 0.4, fit: "under" };
+  }
+
+  // Within budget: leave a little room for the cheaper options
+  const headroom = budget.max ? 1 - price / budget.max : 0;
+  return { score: 0.8 + 0.2 * headroom, fit: "within" };
+}
+
+// Estimate days until delivery from strings like "FREE delivery Tomorrow"
+// or "Get it by Sat, Oct 21"
+export function estimateDeliveryDays(delivery, now = new Date()) {
+  if (!delivery || typeof delivery !== "string") {
+    return null;
+  }
+
+  const lower = delivery.toLowerCase();
+  if (/\b(today|same[- ]day|within \d+ hours?)\b/.test(lower)) {
+    return 0;
+  }
+  if (/\b(tomorrow|overnight|next[- ]day)\b/.test(lower)) {
+    return 1;
+  }
+
+  const date = lower.match(
+    new RegExp(`\\b(${MONTHS.join("|")})[a-z]*\\.?\\s+(\\d{1,2})\\b`)
+  );
+  if (date) {
+    const target = new Date(
+      now.getFullYear(),
+      MONTHS.indexOf(date[1]),
+      Number(date[2])
+    );
+    if (target < now) {
+      target.setFullYear(target.getFullYear() + 1);
+    }
+    return Math.max(0, Math.ceil((target - now) / (24 * 60 * 60 * 1000)));
+  }
+
+  return null;
+}
+
+function scoreDelivery(delivery) {
+  const days = estimateDeliveryDays(delivery);
+  if (days === null) {
+    return { score: 0.3, days: null };
+  }
+  return { score: Math.max(0, 1 - days / 10), days };
+}
+
+function describeDelivery(days) {
+  if (days === 0) {
+    return "arrives today";
+  }
+  if (days === 1) {
+    return "arrives tomorrow";
+  }
+  return `arrives in about ${days} days`;
+}
+
+// Human-readable explanation of what drove the product's position
+function explainRanking(rank, signals, budget, price) {
+  const parts = [];
+
+  if (signals.relevance.matched.length > 0) {
+    parts.push(
+      `matches "${signals.relevance.matched.join(", ")}" from your request`
+    );
+  } else {
+    parts.push("a looser match for your request");
+  }
+
+  if (signals.rating.stars !== null) {
+    parts.push(
+      `rated ${
+        signals.rating.stars
+      }/5 across ${signals.rating.count.toLocaleString("en-US")} reviews`
+    );
+  } else {
+    parts.push("no ratings yet");
+  }
+
+  if (budget && price !== null) {
+    const money = (amount) =>
+      formatMoney(amount, budget.currency, { cents: false });
+    const limit =
+      budget.max !== null ? money(budget.max) : `${money(budget.min)}+`;
+    if (signals.price.fit === "within") {
+      parts.push(`${money(price)} fits your ${limit} budget`);
+    } else if (signals.price.fit === "over") {
+      parts.push(`${money(price)} is over your ${limit} budget`);
+    } else if (signals.price.fit === "under") {
+      parts.push(`${money(price)} is below your ${limit} range`);
+    }
+  }
+
+  if (signals.delivery.days !== null) {
+    parts.push(describeDelivery(signals.delivery.days));
+  }
+
+  const text = parts.join("; ");
+  return `Ranked #${rank}: ${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+// Score every product against the user's request, best first
+export function scoreProducts(products, userQuery, options = {}) {
+  const queryTerms = [
+    ...new Map(
+      extractTerms(userQuery).map((term) => [term.stem, term])
+    ).values(),
+  ];
+  const budget = options.budget || parseBudget(userQuery);
+
+  const scored = products.map((product, index) => {
+    // A price in another currency can't be held against the budget
+    const price =
+      budget?.currency && product.currency !== budget.currency
+        ? null
+        : product.priceValue;
+    const signals = {
+      relevance: scoreRelevance(product.title, queryTerms),
+      rating: scoreRating(product),
+      price: scorePrice(price, budget),
+      delivery: scoreDelivery(product.delivery),
+    };
+
+    const score = Object.entries(WEIGHTS).reduce(
+      (total, [signal, weight]) => total + weight * signals[signal].score,
+      0
+    );
+
+    return { product, index, price, budget, signals, score };
+  });
+
+  // Ties keep the upstream API's relevance order
+  scored.sort((a, b) => b.score - a.score || a.index - b.index);
+
+  return scored.map((entry, position) => ({
+    ...entry,
+    reason: explainRanking(position + 1, entry.signals, budget, entry.price),
+  }));
+}
+
+// Optional second pass: let the LLM reorder the shortlist and add a note
+// on why each product suits the request. Falls back to the scored order.
+export async function rerankWithLlm(scored, userQuery) {
+  if (scored.length < 2) {
+    return scored;
+  }
+
+  const candidates = scored.map((entry, id) => ({
+    id,
+    title: entry.product.title,
+    price: entry.product.price,
+    rating: entry.signals.rating.stars,
+    reviews: entry.signals.rating.count,
+    delivery: entry.product.delivery,
+  }));
+
+  try {
+    const { data: parsed } = await generateJson(
+      "rerank",
+      [
+        {
+          role: "system",
+          content: `You rerank shopping search results for a voice assistant. Order the candidate products from best to worst fit for the user's request, considering relevance, budget, ratings and delivery.
+Respond with ONLY a JSON object:
+{
+  "ranking": [{"id": 2, "note": "short reason this product fits"}, ...]
+}
+Include every candidate id exactly once.`,
+        },
+        {
+          role: "user",
+          content: `Request: ${userQuery}\n\nCandidates:\n${JSON.stringify(
+            candidates,
+            null,
+            2
+          )}`,
+        },
+      ],
+      {
+        validate: (parsed) => {
+          const ids = parsed.ranking?.map((item) => item.id);
+          if (
+            !Array.isArray(ids) ||
+            ids.length !== scored.length ||
+            new Set(ids).size !== scored.length ||
+            ids.some((id) => !scored[id])
+          ) {
+            throw new Error("Rerank response does not cover every candidate");
+          }
+        },
+      }
+    );
+
+    return parsed.ranking.map((item, position) => {
+      const entry = scored[item.id];
+      const base = explainRanking(
+        position + 1,
+        entry.signals,
+        entry.budget,
+        entry.price
+      );
+      return {
+        ...entry,
+        reason: item.note ? `${base} ${item.note}` : base,
+      };
+    });
+  } catch (error) {
+    logger.error("LLM rerank failed, keeping scored order", { error });
+    recordPipelineFallback("rerank");
+    return scored;
+  }
+}
+
+// Score products and return the top `limit`, reranked by the LLM when
+// enabled through options or RANKING_LLM_RERANK=true
+export async function rankByRelevance(products, userQuery, options = {}) {
+  const limit = options.limit || 3;
+  const llmRerank =
+    options.llmRerank ?? process.env.RANKING_LLM_RERANK === "true";
+
+  let ranked = scoreProducts(products, userQuery, options);
+  if (llmRerank) {
+    // Rerank a slightly wider shortlist than we return
+    const shortlist = ranked.slice(0, limit * 2);
+    ranked = await rerankWithLlm(shortlist, userQuery);
+  }
+
+  return ranked.slice(0, limit);
+}
@@ -0,0 +1,808 @@
+import fs from "fs/promises";
+import path from "path";
+import { parsePrice } from "./product_ranking.js";
+import { buildSearchParams } from "./shopping_constraints.js";
+import { createTtlCache, buildCacheKey, normalizeQuery } from "./cache.js";
+import { getMarketplace, formatMoney, productLink } from "./marketplaces.js";
+import { recordUsage } from "./usage.js";
+
+// Filters each source can apply itself; the rest are post-filtered
+const AMAZON_FILTERS = [
+  "minPrice",
+  "maxPrice",
+  "brand",
+  "condition",
+  "fastShipping",
+];
+const LOCAL_FILTERS = [
+  "minPrice",
+  "maxPrice",
+  "brand",
+  "minRating",
+  "condition",
+  "fastShipping",
+];
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Keep the upstream display price ("$38.00", "₹2,499"), or format a bare
+// number such as a catalog or CSV value
+function formatPrice(price, priceValue, currency) {
+  if (typeof price === "string" && /[^\d.,\s]/.test(price)) {
+    return price;
+  }
+  return priceValue !== null ? formatMoney(priceValue, currency) : null;
+}
+
+// The normalized product every source returns and every consumer reads.
+// `marketplace` is the storefront it was found in, null for our own catalog.
+export function createProduct(fields) {
+  const currency = fields.currency || "USD";
+  const priceValue =
+    fields.priceValue !== undefined
+      ? toNumberOrNull(fields.priceValue)
+      : parsePrice(fields.price, currency);
+
+  return {
+    id: String(fields.id || fields.asin || ""),
+    asin: fields.asin || null,
+    title: fields.title || "",
+    brand: fields.brand || null,
+    price: formatPrice(fields.price, priceValue, currency),
+    priceValue,
+    originalPrice: fields.originalPrice || null,
+    currency,
+    marketplace: fields.marketplace || null,
+    rating: toNumberOrNull(fields.rating),
+    numRatings: toNumberOrNull(fields.numRatings) || 0,
+    image: fields.image || null,
+    link: fields.link || null,
+    delivery: fields.delivery || null,
+    isPrime: fields.isPrime === true,
+    condition: fields.condition || null,
+    source: fields.source,
+  };
+}
+
+// Spec tables arrive as objects, lists of name/value pairs or
+// "Name: value" strings; all become a plain { name: value } object
+function toSpecs(value) {
+  if (!value) {
+    return {};
+  }
+  if (Array.isArray(value)) {
+    return Object.fromEntries(
+      value
+        .map((spec) =>
+          typeof spec === "string"
+            ? spec.split(/:\s*/, 2)
+            : [spec.name, spec.value]
+        )
+        .filter(([name, specValue]) => name && specValue)
+    );
+  }
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).filter(([, specValue]) => specValue !== "")
+    );
+  }
+  return {};
+}
+
+// A product plus what only its detail page has. Extends the search model
+// so details can stand in for a product anywhere.
+export function createProductDetails(fields) {
+  const product = createProduct(fields);
+  const images = [
+    ...new Set([...(fields.images || []), product.image].filter(Boolean)),
+  ];
+
+  return {
+    ...product,
+    description: fields.description || null,
+    features: Array.isArray(fields.features)
+      ? fields.features.filter(Boolean)
+      : [],
+    specs: toSpecs(fields.specs),
+    variants: (fields.variants || []).map((variant) => ({
+      id: variant.id ? String(variant.id) : null,
+      name: variant.name || null,
+      value: variant.value || null,
+      available: variant.available !== false,
+      image: variant.image || null,
+    })),
+    images,
+    availability: fields.availability || null,
+  };
+}
+
+// Offer for one product from one seller, as returned by getOffers
+export function createOffer(fields) {
+  const currency = fields.currency || "USD";
+  const priceValue =
+    fields.priceValue !== undefined
+      ? toNumberOrNull(fields.priceValue)
+      : parsePrice(fields.price, currency);
+
+  return {
+    store: fields.store || null,
+    title: fields.title || null,
+    price: formatPrice(fields.price, priceValue, currency),
+    priceValue,
+    originalPrice: fields.originalPrice || null,
+    currency,
+    shipping: fields.shipping || null,
+    condition: fields.condition || null,
+    link: fields.link || null,
+    storeRating: toNumberOrNull(fields.storeRating),
+  };
+}
+
+// One customer review, as returned by getReviews
+export function createReview(fields) {
+  return {
+    title: fields.title || null,
+    text: fields.text || "",
+    rating: toNumberOrNull(fields.rating),
+    date: fields.date || null,
+    verified: fields.verified === true,
+  };
+}
+
+async function rapidApiGet(host, pathAndQuery, label) {
+  if (!process.env.RAPIDAPI_KEY) {
+    throw new Error("Missing RapidAPI key");
+  }
+
+  const startedAt = Date.now();
+  let failure = null;
+  try {
+    const response = await fetch(`https://${host}${pathAndQuery}`, {
+      method: "GET",
+      headers: {
+        "x-rapidapi-key": process.env.RAPIDAPI_KEY,
+        "x-rapidapi-host": host,
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${label} API error: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    if (!data || typeof data !== "object") {
+      throw new Error(`Invalid response format from ${label} API`);
+    }
+    return data;
+  } catch (error) {
+    failure = error.message;
+    throw error;
+  } finally {
+    recordUsage({
+      provider: "rapidapi",
+      model: host,
+      operation: label,
+      latencyMs: Date.now() - startedAt,
+      error: failure,
+    });
+  }
+}
+
+function normalizeAmazonProduct(product, marketplace) {
+  return createProduct({
+    id: product.asin,
+    asin: product.asin,
+    title: product.product_title,
+    brand: product.product_brand,
+    price: product.product_price,
+    originalPrice: product.product_original_price,
+    currency: product.currency || marketplace.currency,
+    rating: product.product_star_rating,
+    numRatings: product.product_num_ratings,
+    image: product.product_photo,
+    link:
+      product.product_url ||
+      (product.asin ? productLink(product.asin, marketplace.code) : null),
+    delivery: product.delivery,
+    isPrime: product.is_prime,
+    marketplace: marketplace.code,
+    source: "amazon",
+  });
+}
+
+// Amazon search through the real-time-amazon-data RapidAPI. Every call
+// takes `options.marketplace`, the storefront to search.
+export function createAmazonSource() {
+  const host = "real-time-amazon-data.p.rapidapi.com";
+
+  return {
+    name: "amazon",
+    filters: AMAZON_FILTERS,
+    async search(query, options = {}) {
+      const marketplace = getMarketplace(options.marketplace);
+      const params = new URLSearchParams({
+        query,
+        page: String(options.page || 1),
+        country: marketplace.country,
+        sort_by: "RELEVANCE",
+        product_condition: "ALL",
+      });
+      for (const [key, value] of Object.entries(
+        buildSearchParams(options.constraints)
+      )) {
+        params.set(key, String(value));
+      }
+
+      const data = await rapidApiGet(
+        host,
+        `/search?${params}`,
+        "Amazon Product Search"
+      );
+      if (!Array.isArray(data?.data?.products)) {
+        throw new Error("No products found in API response");
+      }
+      return data.data.products.map((product) =>
+        normalizeAmazonProduct(product, marketplace)
+      );
+    },
+    async getReviews(asin, options = {}) {
+      const params = new URLSearchParams({
+        asin,
+        country: getMarketplace(options.marketplace).country,
+        sort_by: "TOP_REVIEWS",
+        page: "1",
+      });
+      const data = await rapidApiGet(
+        host,
+        `/product-reviews?${params}`,
+        "Amazon Product Reviews"
+      );
+      return (data?.data?.reviews || []).map((review) =>
+        createReview({
+          title: review.review_title,
+          text: review.review_comment,
+          rating: review.review_star_rating,
+          date: review.review_date,
+          verified: review.is_verified_purchase,
+        })
+      );
+    },
+    async getDetails(asin, options = {}) {
+      const marketplace = getMarketplace(options.marketplace);
+      const params = new URLSearchParams({
+        asin,
+        country: marketplace.country,
+      });
+      const data = await rapidApiGet(
+        host,
+        `/product-details?${params}`,
+        "Amazon Product Details"
+      );
+      const product = data?.data;
+      if (!product?.asin) {
+        return null;
+      }
+
+      // Variations come grouped by dimension: { color: [{ asin, value }] }
+      const variants = Object.entries(product.product_variations || {}).flatMap(
+        ([name, options]) =>
+          (options || []).map((option) => ({
+            id: option.asin,
+            name,
+            value: option.value,
+            available: option.is_available,
+            image: option.photo,
+          }))
+      );
+
+      return createProductDetails({
+        ...normalizeAmazonProduct(product, marketplace),
+        description: product.product_description,
+        features: product.about_product,
+        specs: {
+          ...product.product_information,
+          ...product.product_details,
+        },
+        variants,
+        images: product.product_photos,
+        availability: product.product_availability,
+      });
+    },
+  };
+}
+
+function normalizeSearchOffer(offer, marketplace) {
+  return createOffer({
+    store: offer.store_name,
+    title: offer.offer_title,
+    price: offer.price,
+    originalPrice: offer.original_price,
+    shipping: offer.shipping,
+    condition: offer.product_condition,
+    link: offer.offer_page_url,
+    storeRating: offer.store_rating,
+    currency: offer.currency || marketplace.currency,
+  });
+}
+
+// Cross-store search and offers through the real-time-product-search
+// RapidAPI, in the country and language of `options.marketplace`
+export function createProductSearchSource() {
+  const host = "real-time-product-search.p.rapidapi.com";
+
+  function localeParams(options) {
+    const marketplace = getMarketplace(options.marketplace);
+    return {
+      country: marketplace.country.toLowerCase(),
+      language: marketplace.language,
+    };
+  }
+
+  return {
+    name: "product-search",
+    filters: ["minPrice", "maxPrice"],
+    async search(query, options = {}) {
+      const marketplace = getMarketplace(options.marketplace);
+      const params = new URLSearchParams({
+        q: query,
+        ...localeParams(options),
+        page: String(options.page || 1),
+      });
+      if (options.constraints?.minPrice != null) {
+        params.set("min_price", String(options.constraints.minPrice));
+      }
+      if (options.constraints?.maxPrice != null) {
+        params.set("max_price", String(options.constraints.maxPrice));
+      }
+
+      const data = await rapidApiGet(
+        host,
+        `/search-v2?${params}`,
+        "Product Search"
+      );
+      const products = data?.data?.products;
+      if (!Array.isArray(products)) {
+        throw new Error("No products found in API response");
+      }
+
+      return products.map((product) =>
+        createProduct({
+          id: product.product_id,
+          title: product.product_title,
+          price: product.offer?.price,
+          rating: product.product_rating,
+          numRatings: product.product_num_reviews,
+          image: product.product_photos?.[0],
+          link: product.offer?.offer_page_url || product.product_page_url,
+          delivery: product.offer?.shipping,
+          currency: marketplace.currency,
+          marketplace: marketplace.code,
+          source: "product-search",
+        })
+      );
+    },
+    async getOffers(productId, options = {}) {
+      const params = new URLSearchParams({
+        product_id: productId,
+        page: "1",
+        ...localeParams(options),
+      });
+
+      const raw = await rapidApiGet(
+        host,
+        `/product-offers-v2?${params}`,
+        "Product Offers"
+      );
+      const offers = raw?.data?.offers || raw?.data || [];
+      return {
+        offers: Array.isArray(offers)
+          ? offers.map((offer) =>
+              normalizeSearchOffer(offer, getMarketplace(options.marketplace))
+            )
+          : [],
+        raw,
+      };
+    },
+    async getReviews(productId, options = {}) {
+      const params = new URLSearchParams({
+        product_id: productId,
+        ...localeParams(options),
+      });
+      const data = await rapidApiGet(
+        host,
+        `/product-reviews-v2?${params}`,
+        "Product Reviews"
+      );
+      return (data?.data?.reviews || []).map((review) =>
+        createReview({
+          title: review.review_title,
+          text: review.review_text,
+          rating: review.rating,
+          date: review.review_datetime_utc,
+        })
+      );
+    },
+    async getDetails(productId, options = {}) {
+      const marketplace = getMarketplace(options.marketplace);
+      const params = new URLSearchParams({
+        product_id: productId,
+        ...localeParams(options),
+      });
+      const data = await rapidApiGet(
+        host,
+        `/product-details-v2?${params}`,
+        "Product Details"
+      );
+      const product = data?.data?.product;
+      if (!product) {
+        return null;
+      }
+
+      const offer = data.data.offer || {};
+      return createProductDetails({
+        id: product.product_id || productId,
+        title: product.product_title,
+        price: offer.price,
+        rating: product.product_rating,
+        numRatings: product.product_num_reviews,
+        image: product.product_photos?.[0],
+        link: offer.offer_page_url || product.product_page_url,
+        delivery: offer.shipping,
+        currency: marketplace.currency,
+        marketplace: marketplace.code,
+        source: "product-search",
+        description: product.product_description,
+        features: product.product_highlights,
+        specs: product.product_attributes,
+        images: product.product_photos,
+      });
+    },
+  };
+}
+
+// Minimal CSV parser: quoted fields, escaped quotes, header row
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter((r) => r.some((cell) => cell));
+  return records.map((record) =>
+    Object.fromEntries(header.map((key, i) => [key.trim(), record[i] ?? ""]))
+  );
+}
+
+// Catalog entries may come from CSV, where everything is a string
+function normalizeCatalogEntry(entry) {
+  const split = (value) =>
+    Array.isArray(value)
+      ? value
+      : String(value || "")
+          .split("|")
+          .map((item) => item.trim())
+          .filter(Boolean);
+
+  return {
+    ...entry,
+    isPrime: entry.isPrime === true || entry.isPrime === "true",
+    tags: split(entry.tags),
+    features: split(entry.features),
+    specs: typeof entry.specs === "string" ? split(entry.specs) : entry.specs,
+    offers: Array.isArray(entry.offers) ? entry.offers : [],
+    reviews: Array.isArray(entry.reviews) ? entry.reviews : [],
+  };
+}
+
+function matchesFilters(entry, product, constraints) {
+  if (!constraints) {
+    return true;
+  }
+
+  const price = product.priceValue;
+  if (constraints.minPrice != null && price !== null) {
+    if (price < constraints.minPrice) {
+      return false;
+    }
+  }
+  if (constraints.maxPrice != null && price !== null) {
+    if (price > constraints.maxPrice) {
+      return false;
+    }
+  }
+  if (
+    constraints.brand &&
+    !(product.brand || "")
+      .toLowerCase()
+      .includes(constraints.brand.toLowerCase())
+  ) {
+    return false;
+  }
+  if (
+    constraints.minRating != null &&
+    (product.rating === null || product.rating < constraints.minRating)
+  ) {
+    return false;
+  }
+  if (
+    constraints.condition &&
+    (entry.condition || "new").toLowerCase() !== constraints.condition
+  ) {
+    return false;
+  }
+  if (constraints.fastShipping && !product.isPrime) {
+    return false;
+  }
+  return true;
+}
+
+// Our own inventory from a JSON array or CSV file. Needs no network, so it
+// also backs offline demos and tests. It is one storefront whatever the
+// marketplace, priced in each entry's `currency` (USD by default), so its
+// fixed `currency` is what budgets are read in on every marketplace.
+export function createLocalCatalogSource(filePath) {
+  let catalog = null;
+
+  async function load() {
+    if (catalog) {
+      return catalog;
+    }
+
+    const raw = await fs.readFile(filePath, "utf8");
+    const entries =
+      path.extname(filePath).toLowerCase() === ".csv"
+        ? parseCsv(raw)
+        : JSON.parse(raw);
+    if (!Array.isArray(entries)) {
+      throw new Error("Local catalog must be a list of products");
+    }
+
+    catalog = entries.map(normalizeCatalogEntry);
+    return catalog;
+  }
+
+  function toProduct(entry) {
+    return createProduct({ ...entry, source: "local" });
+  }
+
+  return {
+    name: "local",
+    currency: "USD",
+    filters: LOCAL_FILTERS,
+    async search(query, options = {}) {
+      const entries = await load();
+      const words = query
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length > 2);
+
+      return entries
+        .map((entry) => {
+          const haystack = [
+            entry.title,
+            entry.brand,
+            entry.category,
+            ...entry.tags,
+          ]
+            .join(" ")
+            .toLowerCase();
+          const matches = words.filter((word) =>
+            haystack.includes(word.replace(/s$/, ""))
+          ).length;
+          return { entry, product: toProduct(entry), matches };
+        })
+        .filter(({ matches }) => words.length === 0 || matches > 0)
+        .filter(({ entry, product }) =>
+          matchesFilters(entry, product, options.constraints)
+        )
+        .sort((a, b) => b.matches - a.matches)
+        .map(({ product }) => product);
+    },
+    async getOffers(productId) {
+      const entry = (await load()).find(
+        (item) => item.id === productId || item.asin === productId
+      );
+      if (!entry) {
+        throw new Error(`Product ${productId} not found in local catalog`);
+      }
+
+      const offers = entry.offers.length
+        ? entry.offers
+        : [
+            {
+              store: "Our store",
+              price: entry.price,
+              shipping: entry.delivery,
+              condition: entry.condition || "new",
+              link: entry.link,
+            },
+          ];
+      return {
+        offers: offers.map((offer) =>
+          createOffer({ currency: entry.currency, ...offer })
+        ),
+        raw: entry,
+      };
+    },
+    async getReviews(productId) {
+      const entry = (await load()).find(
+        (item) => item.id === productId || item.asin === productId
+      );
+      return entry ? entry.reviews.map(createReview) : [];
+    },
+    async getDetails(productId) {
+      const entry = (await load()).find(
+        (item) => item.id === productId || item.asin === productId
+      );
+      if (!entry) {
+        return null;
+      }
+
+      return createProductDetails({
+        ...entry,
+        features: entry.features.length ? entry.features : entry.tags,
+        availability: entry.availability || "In stock",
+        source: "local",
+      });
+    },
+  };
+}
+
+const sourceFactories = {
+  amazon: createAmazonSource,
+  "product-search": createProductSearchSource,
+  local: () =>
+    createLocalCatalogSource(
+      process.env.LOCAL_CATALOG_FILE || path.resolve("data", "catalog.json")
+    ),
+};
+const sources = new Map();
+
+function getSource(name) {
+  if (!sources.has(name)) {
+    const factory = sourceFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown product source: ${name}`);
+    }
+    sources.set(name, factory());
+  }
+  return sources.get(name);
+}
+
+// Source for product search, PRODUCT_SOURCE=amazon|product-search|local
+export function getProductSource() {
+  return getSource(process.env.PRODUCT_SOURCE || "amazon");
+}
+
+// Source for per-product offers; follows PRODUCT_SOURCE=local so offline
+// setups never reach for the network
+export function getOffersSource() {
+  if (process.env.OFFERS_SOURCE) {
+    return getSource(process.env.OFFERS_SOURCE);
+  }
+  return getSource(
+    process.env.PRODUCT_SOURCE === "local" ? "local" : "product-search"
+  );
+}
+
+// Currency shoppers' budgets are read in: the search source's own when it
+// prices in one fixed currency, else the marketplace's. Budgets in any
+// other currency would filter out every product.
+export function getShoppingCurrency(marketplace) {
+  return getProductSource().currency || getMarketplace(marketplace).currency;
+}
+
+// Swap in a source, e.g. a local catalog for tests
+export function setProductSource(name, source) {
+  sources.set(name, source);
+}
+
+const searchCache = createTtlCache({
+  name: "search",
+  ttlMs: Number(process.env.SEARCH_CACHE_TTL_SECONDS || 300) * 1000,
+  maxEntries: Number(process.env.SEARCH_CACHE_MAX_ENTRIES || 500),
+});
+const offersCache = createTtlCache({
+  name: "offers",
+  ttlMs: Number(process.env.OFFERS_CACHE_TTL_SECONDS || 600) * 1000,
+  maxEntries: Number(process.env.OFFERS_CACHE_MAX_ENTRIES || 500),
+});
+
+const detailsCache = createTtlCache({
+  name: "details",
+  ttlMs: Number(process.env.DETAILS_CACHE_TTL_SECONDS || 3600) * 1000,
+  maxEntries: Number(process.env.DETAILS_CACHE_MAX_ENTRIES || 500),
+});
+
+// Search the configured source, reusing results for repeated queries.
+// `options.marketplace` picks the storefront, the default one if omitted.
+export async function searchProductSource(query, options = {}) {
+  const source = getProductSource();
+  const marketplace = getMarketplace(options.marketplace).code;
+  const key = buildCacheKey(
+    source.name,
+    marketplace,
+    normalizeQuery(query),
+    options.constraints || null,
+    options.page || 1
+  );
+  return searchCache.wrap(key, () =>
+    source.search(query, { ...options, marketplace })
+  );
+}
+
+// Offers for one product from the configured source, cached per product
+export async function getProductOffers(productId, options = {}) {
+  const source = getOffersSource();
+  const marketplace = getMarketplace(options.marketplace).code;
+  const key = buildCacheKey(source.name, marketplace, productId);
+  return offersCache.wrap(key, () =>
+    source.getOffers(productId, { marketplace })
+  );
+}
+
+// Full details for one product from the search source, so ids from search
+// results always resolve. Returns null for unknown products.
+export async function getProductDetails(productId, options = {}) {
+  const source = getProductSource();
+  if (!source.getDetails) {
+    throw new Error(`Product source ${source.name} has no product details`);
+  }
+  const marketplace = getMarketplace(options.marketplace).code;
+  const key = buildCacheKey(source.name, marketplace, productId);
+  return detailsCache.wrap(key, () =>
+    source.getDetails(productId, { marketplace })
+  );
+}
+
+// Customer reviews for one product from the search source. Not cached here;
+// callers cache what they derive from them.
+export async function getProductReviews(productId, options = {}) {
+  const source = getProductSource();
+  if (!source.getReviews) {
+    throw new Error(`Product source ${source.name} has no reviews`);
+  }
+  return source.getReviews(productId, {
+    marketplace: getMarketplace(options.marketplace).code,
+  });
+}
@@ -0,0 +1,43 @@
+// Fixed-window counters for API rate limits and quotas. A store needs one
+// method, hit(key, windowMs), which counts a request against `key` and
+// returns { count, resetAt } for the current window. Any shared backend
+// that can increment with an expiry can stand in for the memory one.
+
+// In-memory counters, per process and lost on restart
+export function createMemoryRateLimitStore() {
+  const windows = new Map();
+
+  // Expired windows are dropped as the map is walked, so keys for clients
+  // that went quiet don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+// Pick the counter backend from the environment
+export function createRateLimitStore() {
+  const backend = process.env.RATE_LIMIT_STORE || "memory";
+  if (backend !== "memory") {
+    throw new Error(`Unknown rate limit store: ${backend}`);
+  }
+  return createMemoryRateLimitStore();
+}
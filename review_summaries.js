@@ -0,0 +1,133 @@
+import { generateJson } from "./llm_client.js";
+import { createTtlCache, buildCacheKey } from "./cache.js";
+import { getProductSource, getProductReviews } from "./product_sources.js";
+import { getMarketplace } from "./marketplaces.js";
+import { logger } from "./logger.js";
+
+const SENTIMENTS = ["positive", "mixed", "negative"];
+
+// Reviews handed to the LLM, and how much of each one
+const MAX_REVIEWS = 20;
+const MAX_REVIEW_LENGTH = 600;
+
+const summaryCache = createTtlCache({
+  name: "reviews",
+  ttlMs: Number(process.env.REVIEW_CACHE_TTL_SECONDS || 86400) * 1000,
+  maxEntries: Number(process.env.REVIEW_CACHE_MAX_ENTRIES || 500),
+});
+
+function averageRating(reviews) {
+  const ratings = reviews
+    .map((review) => review.rating)
+    .filter((rating) => rating !== null);
+  if (ratings.length === 0) {
+    return null;
+  }
+  const total = ratings.reduce((sum, rating) => sum + rating, 0);
+  return Number((total / ratings.length).toFixed(1));
+}
+
+function toStringList(value) {
+  return Array.isArray(value)
+    ? value.filter((item) => typeof item === "string" && item.trim())
+    : [];
+}
+
+async function summarizeWithLlm(reviews) {
+  const { data: parsed } = await generateJson(
+    "review_summary",
+    [
+      {
+        role: "system",
+        content: `You summarize customer reviews for a voice shopping assistant. Respond with ONLY a JSON object:
+{
+  "pros": ["what reviewers like, a few words each"],
+  "cons": ["what reviewers dislike, a few words each"],
+  "complaints": ["problems several reviewers report"],
+  "sentiment": "positive" | "mixed" | "negative",
+  "summary": "one or two spoken sentences, e.g. People love the battery but complain about the fit."
+}
+- At most 4 items per list, most mentioned first
+- Only include what the reviews actually say
+IMPORTANT: Your response must be valid JSON format only, no additional text.`,
+      },
+      {
+        role: "user",
+        content: JSON.stringify(
+          reviews.slice(0, MAX_REVIEWS).map((review) => ({
+            rating: review.rating,
+            title: review.title,
+            text: review.text.slice(0, MAX_REVIEW_LENGTH),
+          })),
+          null,
+          2
+        ),
+      },
+    ],
+    {
+      validate: (parsed) => {
+        if (!SENTIMENTS.includes(parsed.sentiment) || !parsed.summary) {
+          throw new Error("Review summary is missing sentiment or summary");
+        }
+      },
+    }
+  );
+
+  return {
+    pros: toStringList(parsed.pros),
+    cons: toStringList(parsed.cons),
+    complaints: toStringList(parsed.complaints),
+    sentiment: parsed.sentiment,
+    summary: parsed.summary,
+  };
+}
+
+// Pros, cons, common complaints and overall sentiment for one product,
+// cached per product so repeat questions skip the reviews fetch and the LLM
+export async function getReviewSummary(productId, options = {}) {
+  const marketplace = getMarketplace(options.marketplace).code;
+  const key = buildCacheKey(getProductSource().name, marketplace, productId);
+
+  return summaryCache.wrap(key, async () => {
+    const reviews = await getProductReviews(productId, { marketplace });
+    const base = {
+      productId,
+      reviewCount: reviews.length,
+      averageRating: averageRating(reviews),
+    };
+
+    if (reviews.length === 0) {
+      return {
+        ...base,
+        pros: [],
+        cons: [],
+        complaints: [],
+        sentiment: null,
+        summary: "There aren't any reviews for this product yet.",
+      };
+    }
+
+    return { ...base, ...(await summarizeWithLlm(reviews)) };
+  });
+}
+
+// Add a reviewSummary to each recommendation. A failed summary leaves that
+// product's summary null rather than failing the whole reply.
+export async function attachReviewSummaries(recommendations, options = {}) {
+  return Promise.all(
+    recommendations.map(async (recommendation) => {
+      try {
+        return {
+          ...recommendation,
+          reviewSummary: await getReviewSummary(recommendation.id, options),
+        };
+      } catch (error) {
+        logger.error("Review summary failed", {
+          productId: recommendation.id,
+          error: error.message,
+        });
+        return { ...recommendation, reviewSummary: null };
+      }
+    })
+  );
+}
@@ -0,0 +1,145 @@
+import path from "path";
+import crypto from "crypto";
+import { createMemoryStore, createFileStore } from "./json_store.js";
+
+const SESSION_TTL_MS =
+  Number(process.env.SESSION_TTL_MINUTES || 30) * 60 * 1000;
+const MAX_HISTORY_MESSAGES = Number(process.env.SESSION_MAX_MESSAGES || 20);
+const MAX_SUMMARY_LENGTH = 2000;
+
+// In-memory session storage, lost on restart
+export function createMemorySessionStore() {
+  return createMemoryStore();
+}
+
+// File-backed session storage so conversations survive a restart
+export function createFileSessionStore(filePath) {
+  return createFileStore(filePath, "session");
+}
+
+// Pick the session backend from the environment
+export function createSessionStore() {
+  if (process.env.SESSION_STORE === "file") {
+    return createFileSessionStore(
+      process.env.SESSION_FILE || path.resolve(".data", "sessions.json")
+    );
+  }
+  return createMemorySessionStore();
+}
+
+function isExpired(session) {
+  return Date.now() - new Date(session.updatedAt).getTime() > SESSION_TTL_MS;
+}
+
+// Load a session by id, or start a new one. Ids are only ever made here, so
+// an unknown or expired sessionId gets a fresh session with a new id rather
+// than one under the id the client picked. A session belongs to the API key
+// that started it (null when API_AUTH=off) and is unknown to any other key.
+// A new session can be seeded with the client's own messageHistory.
+export async function loadSession(
+  store,
+  sessionId,
+  { apiKey = null, messageHistory = [] } = {}
+) {
+  if (sessionId) {
+    const existing = await store.get(sessionId);
+    const owned = existing && (existing.apiKey ?? null) === apiKey;
+    if (owned && !isExpired(existing)) {
+      return existing;
+    }
+    if (owned) {
+      await store.delete(sessionId);
+    }
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    apiKey,
+    history: Array.isArray(messageHistory) ? messageHistory : [],
+    summary: "",
+    lastResults: null,
+    orderFlow: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+// History to hand to the LLM, with folded older turns as a leading summary
+export function getSessionHistory(session) {
+  if (!session.summary) {
+    return session.history;
+  }
+
+  return [
+    {
+      role: "system",
+      content: `Summary of earlier conversation:\n${session.summary}`,
+    },
+    ...session.history,
+  ];
+}
+
+// Fold the oldest turns into the summary once the history grows too long
+function compactHistory(session) {
+  if (session.history.length <= MAX_HISTORY_MESSAGES) {
+    return;
+  }
+
+  const dropped = session.history.slice(
+    0,
+    session.history.length - MAX_HISTORY_MESSAGES
+  );
+  session.history = session.history.slice(-MAX_HISTORY_MESSAGES);
+
+  const lines = dropped.map((message) => {
+    const content =
+      typeof message.content === "string"
+        ? message.content
+        : JSON.stringify(message.content);
+    return `${message.role}: ${content.slice(0, 200)}`;
+  });
+
+  session.summary = [session.summary, ...lines]
+    .filter(Boolean)
+    .join("\n")
+    .slice(-MAX_SUMMARY_LENGTH);
+}
+
+// Append a user turn and the assistant reply, then save the session. A new
+// product result set replaces the remembered one for follow-up questions.
+export async function recordTurn(
+  store,
+  session,
+  userMessage,
+  assistantMessage,
+  results
+) {
+  if (results) {
+    session.lastResults = results;
+  }
+  session.history = [
+    ...session.history,
+    { role: "user", content: userMessage },
+    { role: "assistant", content: assistantMessage || "" },
+  ];
+  compactHistory(session);
+  session.updatedAt = new Date().toISOString();
+
+  await store.set(session.id, session);
+  return session;
+}
+
+// Remove sessions that have been idle longer than the TTL
+export async function purgeExpiredSessions(store) {
+  const sessions = await store.list();
+  let removed = 0;
+
+  for (const session of sessions) {
+    if (isExpired(session)) {
+      await store.delete(session.id);
+      removed++;
+    }
+  }
+  return removed;
+}
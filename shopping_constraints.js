@@ -0,0 +1,229 @@
+import {
+  parseBudget,
+  parsePrice,
+  estimateDeliveryDays,
+} from "./product_ranking.js";
+import { formatMoney } from "./marketplaces.js";
+
+const CONDITIONS = ["new", "used", "renewed"];
+
+// Days within which a delivery counts as fast shipping
+const FAST_SHIPPING_DAYS = 2;
+
+function toPositiveNumber(value, currency) {
+  const number =
+    typeof value === "string" ? parsePrice(value, currency) : value;
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Clean up the constraints the LLM extracted. The budget falls back to what
+// can be parsed from the transcript if the model missed it, which only takes
+// numbers said as money, so "arrive within 2 days" sets no price. Prices are
+// in `currency`, see getShoppingCurrency.
+export function normalizeConstraints(
+  raw = {},
+  transcript = "",
+  currency = "USD"
+) {
+  const constraints = {
+    minPrice: toPositiveNumber(raw?.minPrice, currency),
+    maxPrice: toPositiveNumber(raw?.maxPrice, currency),
+    brand:
+      typeof raw?.brand === "string" && raw.brand.trim()
+        ? raw.brand.trim()
+        : null,
+    minRating: toPositiveNumber(raw?.minRating),
+    condition: CONDITIONS.includes(String(raw?.condition).toLowerCase())
+      ? String(raw.condition).toLowerCase()
+      : null,
+    fastShipping: raw?.fastShipping === true,
+    currency,
+  };
+
+  if (constraints.minPrice === null && constraints.maxPrice === null) {
+    const budget = parseBudget(transcript, currency);
+    if (budget) {
+      constraints.minPrice = budget.min;
+      constraints.maxPrice = budget.max;
+    }
+  }
+
+  if (
+    constraints.minPrice !== null &&
+    constraints.maxPrice !== null &&
+    constraints.minPrice > constraints.maxPrice
+  ) {
+    [constraints.minPrice, constraints.maxPrice] = [
+      constraints.maxPrice,
+      constraints.minPrice,
+    ];
+  }
+
+  if (constraints.minRating !== null) {
+    constraints.minRating = Math.min(constraints.minRating, 5);
+  }
+
+  return constraints;
+}
+
+export function hasConstraints(constraints) {
+  return Boolean(
+    constraints &&
+      (constraints.minPrice !== null ||
+        constraints.maxPrice !== null ||
+        constraints.brand ||
+        constraints.minRating !== null ||
+        constraints.condition ||
+        constraints.fastShipping)
+  );
+}
+
+// Budget in the shape the ranking step expects, or null without one
+export function getBudget(constraints) {
+  if (
+    !constraints ||
+    (constraints.minPrice === null && constraints.maxPrice === null)
+  ) {
+    return null;
+  }
+  return {
+    min: constraints.minPrice,
+    max: constraints.maxPrice,
+    currency: constraints.currency || "USD",
+  };
+}
+
+// Map constraints onto the Amazon search API's own filters
+export function buildSearchParams(constraints) {
+  const params = {};
+  if (!constraints) {
+    return params;
+  }
+
+  if (constraints.minPrice !== null) {
+    params.min_price = Math.floor(constraints.minPrice);
+  }
+  if (constraints.maxPrice !== null) {
+    params.max_price = Math.ceil(constraints.maxPrice);
+  }
+  if (constraints.brand) {
+    params.brand = constraints.brand;
+  }
+  if (constraints.condition) {
+    params.product_condition = constraints.condition.toUpperCase();
+  }
+  if (constraints.fastShipping) {
+    params.is_prime = true;
+  }
+  return params;
+}
+
+// Enforce constraints the API cannot filter on, and double-check the ones
+// it can, since upstream filtering is best-effort
+export function applyConstraintFilters(products, constraints) {
+  if (!hasConstraints(constraints)) {
+    return products;
+  }
+
+  const currency = constraints.currency || "USD";
+  const hasBudget =
+    constraints.minPrice !== null || constraints.maxPrice !== null;
+
+  return products.filter((product) => {
+    // A price in another currency can't be checked against the budget
+    if (hasBudget && product.currency !== currency) {
+      return false;
+    }
+
+    const price = product.priceValue;
+    if (price !== null) {
+      if (constraints.minPrice !== null && price < constraints.minPrice) {
+        return false;
+      }
+      if (constraints.maxPrice !== null && price > constraints.maxPrice) {
+        return false;
+      }
+    }
+
+    if (constraints.minRating !== null) {
+      if (product.rating === null || product.rating < constraints.minRating) {
+        return false;
+      }
+    }
+
+    if (constraints.brand) {
+      const brand = constraints.brand.toLowerCase();
+      const title = product.title.toLowerCase();
+      const productBrand = (product.brand || "").toLowerCase();
+      if (!title.includes(brand) && !productBrand.includes(brand)) {
+        return false;
+      }
+    }
+
+    if (
+      constraints.condition &&
+      product.condition &&
+      product.condition.toLowerCase() !== constraints.condition
+    ) {
+      return false;
+    }
+
+    if (constraints.fastShipping && !product.isPrime) {
+      const days = estimateDeliveryDays(product.delivery);
+      if (days !== null && days > FAST_SHIPPING_DAYS) {
+        return false;
+      }
+    }
+
+    return true;
+  });
+}
+
+// Echo back the constraints and how each one was applied. `sourceFilters`
+// lists the constraints the product source filters on itself.
+export function describeAppliedConstraints(constraints, sourceFilters = []) {
+  const active = Object.keys(constraints).filter((key) =>
+    key === "fastShipping"
+      ? constraints[key]
+      : key !== "currency" && constraints[key] !== null
+  );
+
+  return {
+    ...constraints,
+    appliedUpstream: active.filter((key) => sourceFilters.includes(key)),
+    postFilters: active,
+  };
+}
+
+// Spoken summary, e.g. "Sony, under $50, rated 4+ stars"
+export function summarizeConstraints(constraints) {
+  const parts = [];
+
+  if (constraints.brand) {
+    parts.push(constraints.brand);
+  }
+  const money = (amount) =>
+    formatMoney(amount, constraints.currency || "USD", { cents: false });
+  if (constraints.minPrice !== null && constraints.maxPrice !== null) {
+    parts.push(
+      `between ${money(constraints.minPrice)} and ${money(
+        constraints.maxPrice
+      )}`
+    );
+  } else if (constraints.maxPrice !== null) {
+    parts.push(`under ${money(constraints.maxPrice)}`);
+  } else if (constraints.minPrice !== null) {
+    parts.push(`over ${money(constraints.minPrice)}`);
+  }
+  if (constraints.minRating !== null) {
+    parts.push(`rated ${constraints.minRating}+ stars`);
+  }
+  if (constraints.condition) {
+    parts.push(constraints.condition);
+  }
+  if (constraints.fastShipping) {
+    parts.push("with fast shipping");
+  }
+
+  return parts.join(", ");
+}
@@ -0,0 +1,134 @@
+import { Groq, toFile } from "groq-sdk";
+import { logger } from "./logger.js";
+import { recordUsage } from "./usage.js";
+
+// Audio containers the /voice endpoint accepts, keyed by MIME type
+export const SUPPORTED_AUDIO_TYPES = {
+  "audio/wav": "wav",
+  "audio/wave": "wav",
+  "audio/x-wav": "wav",
+  "audio/webm": "webm",
+  "video/webm": "webm",
+  "audio/ogg": "ogg",
+  "application/ogg": "ogg",
+};
+
+export const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+// Speech-to-text through Groq's hosted Whisper models
+export function createGroqWhisperProvider(options = {}) {
+  const groq = new Groq({
+    apiKey: options.apiKey || process.env.GROQ_API_KEY,
+  });
+  const model =
+    options.model || process.env.STT_MODEL || "whisper-large-v3-turbo";
+
+  return {
+    name: "groq-whisper",
+    model,
+    async transcribe({ buffer, mimeType, filename, language }) {
+      const file = await toFile(buffer, filename, { type: mimeType });
+      const transcription = await groq.audio.transcriptions.create({
+        file,
+        model,
+        language,
+        response_format: "json",
+        temperature: 0,
+      });
+
+      return { text: transcription.text || "" };
+    },
+  };
+}
+
+// Offline provider that returns a fixed transcript, or whatever the given
+// function derives from the audio. Used for tests and demos.
+export function createFakeSpeechProvider(transcript = "") {
+  return {
+    name: "fake",
+    async transcribe(audio) {
+      const text =
+        typeof transcript === "function" ? await transcript(audio) : transcript;
+      return { text };
+    },
+  };
+}
+
+// Pick the speech-to-text provider from the environment
+export function createSpeechProvider() {
+  if (process.env.STT_PROVIDER === "fake") {
+    return createFakeSpeechProvider(process.env.STT_FAKE_TRANSCRIPT || "");
+  }
+  return createGroqWhisperProvider();
+}
+
+// Decode base64 audio, accepting both bare base64 and data: URLs
+export function decodeBase64Audio(audioBase64, mimeType) {
+  if (!audioBase64 || typeof audioBase64 !== "string") {
+    throw new Error("Invalid audio data");
+  }
+
+  const dataUrl = audioBase64.match(/^data:([^;,]+)(?:;[^,]*)?,(.*)$/s);
+  return {
+    buffer: Buffer.from(dataUrl ? dataUrl[2] : audioBase64, "base64"),
+    mimeType: dataUrl ? dataUrl[1] : mimeType,
+  };
+}
+
+function normalizeMimeType(mimeType) {
+  return (mimeType || "").split(";")[0].trim().toLowerCase();
+}
+
+// Returns a description of what is wrong with the upload, or null if usable
+export function checkAudioUpload(audio) {
+  if (!audio?.buffer || audio.buffer.length === 0) {
+    return "Audio upload is empty";
+  }
+
+  if (audio.buffer.length > MAX_AUDIO_BYTES) {
+    return "Audio upload exceeds the 25 MB limit";
+  }
+
+  if (!SUPPORTED_AUDIO_TYPES[normalizeMimeType(audio.mimeType)]) {
+    return `Unsupported audio format: ${
+      audio.mimeType || "unknown"
+    }. Use wav, webm or ogg`;
+  }
+
+  return null;
+}
+
+export async function transcribeAudio(provider, audio) {
+  const problem = checkAudioUpload(audio);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const mimeType = normalizeMimeType(audio.mimeType);
+  const extension = SUPPORTED_AUDIO_TYPES[mimeType];
+
+  const startedAt = Date.now();
+  let failure = null;
+  try {
+    const result = await provider.transcribe({
+      buffer: audio.buffer,
+      mimeType,
+      filename: `speech.${extension}`,
+      language: audio.language,
+    });
+
+    return (result.text || "").trim();
+  } catch (error) {
+    failure = error.message;
+    logger.error("Speech-to-text failed", { provider: provider.name, error });
+    throw new Error(`Failed to transcribe audio: ${error.message}`);
+  } finally {
+    recordUsage({
+      provider: provider.name,
+      model: provider.model || provider.name,
+      operation: "transcribe",
+      latencyMs: Date.now() - startedAt,
+      error: failure,
+    });
+  }
+}
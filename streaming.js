@@ -0,0 +1,98 @@
+const JSON_ESCAPES = {
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  b: "\b",
+  f: "\f",
+};
+
+// Clients opt in with `stream: true`, `?stream=true` or an SSE Accept header
+export function wantsStream(req) {
+  return (
+    req.body?.stream === true ||
+    req.query?.stream === "true" ||
+    (req.headers.accept || "").includes("text/event-stream")
+  );
+}
+
+// Switch the response into Server-Sent Events mode
+export function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) {
+        return;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    },
+  };
+}
+
+// Report a failure on a response that may already be streaming
+export function sendStreamError(res, payload) {
+  if (res.writableEnded) {
+    return;
+  }
+  res.write(`event: error\ndata: ${JSON.stringify(payload)}\n\n`);
+  res.end();
+}
+
+// The LLM prompts ask for JSON, so tokens arrive as pieces of a JSON
+// document. This decodes the string value of one field as it grows and
+// hands newly completed characters to onDelta.
+export function createJsonFieldStreamer(field, onDelta) {
+  const fieldPattern = new RegExp(`"${field}"\\s*:\\s*"`);
+  let buffer = "";
+  let emitted = 0;
+
+  return function push(chunk) {
+    buffer += chunk;
+
+    const match = buffer.match(fieldPattern);
+    if (!match) {
+      return;
+    }
+
+    let value = "";
+    let i = match.index + match[0].length;
+    while (i < buffer.length && buffer[i] !== '"') {
+      if (buffer[i] !== "\\") {
+        value += buffer[i];
+        i++;
+        continue;
+      }
+
+      // Wait for the rest of an escape sequence before decoding it
+      const next = buffer[i + 1];
+      if (next === undefined) {
+        break;
+      }
+      if (next === "u") {
+        if (i + 6 > buffer.length) {
+          break;
+        }
+        value += String.fromCharCode(parseInt(buffer.slice(i + 2, i + 6), 16));
+        i += 6;
+        continue;
+      }
+      value += JSON_ESCAPES[next] ?? next;
+      i += 2;
+    }
+
+    if (value.length > emitted) {
+      onDelta(value.slice(emitted));
+      emitted = value.length;
+    }
+  };
+}
@@ -0,0 +1,195 @@
+import crypto from "crypto";
+import { Groq } from "groq-sdk";
+import { logger } from "./logger.js";
+import { recordUsage } from "./usage.js";
+
+// Encodings clients may ask for, keyed by format name
+export const AUDIO_FORMATS = {
+  wav: "audio/wav",
+  mp3: "audio/mpeg",
+  ogg: "audio/ogg",
+  flac: "audio/flac",
+  mulaw: "audio/basic",
+};
+
+const DEFAULT_AUDIO_OPTIONS = {
+  voice: process.env.TTS_VOICE || "Fritz-PlayAI",
+  format: process.env.TTS_FORMAT || "wav",
+  speed: 1,
+  delivery: "inline",
+};
+
+export const MIN_SPEED = 0.5;
+export const MAX_SPEED = 5;
+const CLIP_TTL_MS = 10 * 60 * 1000;
+const MAX_CLIPS = 200;
+
+// Text-to-speech through Groq's hosted PlayAI voices
+export function createGroqTtsProvider(options = {}) {
+  const groq = new Groq({
+    apiKey: options.apiKey || process.env.GROQ_API_KEY,
+  });
+  const model = options.model || process.env.TTS_MODEL || "playai-tts";
+
+  return {
+    name: "groq-playai",
+    model,
+    async synthesize({ text, voice, format, speed }) {
+      const response = await groq.audio.speech.create({
+        model,
+        voice,
+        input: text,
+        response_format: format,
+        speed,
+      });
+
+      return Buffer.from(await response.arrayBuffer());
+    },
+  };
+}
+
+// Offline provider that encodes the request itself instead of real audio
+export function createFakeTtsProvider() {
+  return {
+    name: "fake",
+    async synthesize({ text, voice, format, speed }) {
+      return Buffer.from(`fake-${format}|${voice}|${speed}|${text}`);
+    },
+  };
+}
+
+// Pick the text-to-speech provider from the environment
+export function createTtsProvider() {
+  if (process.env.TTS_PROVIDER === "fake") {
+    return createFakeTtsProvider();
+  }
+  return createGroqTtsProvider();
+}
+
+// Accepts `audio: true` or `audio: { voice, format, speed, delivery }`.
+// Returns null when audio was not requested.
+export function parseAudioOptions(value) {
+  if (value === undefined || value === false) {
+    return { options: null };
+  }
+
+  if (value === true) {
+    return { options: { ...DEFAULT_AUDIO_OPTIONS } };
+  }
+
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return { error: "Audio must be true or an object of audio options" };
+  }
+
+  const options = { ...DEFAULT_AUDIO_OPTIONS };
+
+  if (value.voice !== undefined) {
+    if (typeof value.voice !== "string" || !value.voice.trim()) {
+      return { error: "Audio voice must be a non-empty string" };
+    }
+    options.voice = value.voice.trim();
+  }
+
+  if (value.format !== undefined) {
+    if (!AUDIO_FORMATS[value.format]) {
+      return {
+        error: `Audio format must be one of: ${Object.keys(AUDIO_FORMATS).join(
+          ", "
+        )}`,
+      };
+    }
+    options.format = value.format;
+  }
+
+  if (value.speed !== undefined) {
+    const speed = Number(value.speed);
+    if (!Number.isFinite(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+      return {
+        error: `Audio speed must be a number between ${MIN_SPEED} and ${MAX_SPEED}`,
+      };
+    }
+    options.speed = speed;
+  }
+
+  if (value.delivery !== undefined) {
+    if (value.delivery !== "inline" && value.delivery !== "url") {
+      return { error: "Audio delivery must be 'inline' or 'url'" };
+    }
+    options.delivery = value.delivery;
+  }
+
+  return { options };
+}
+
+// Short-lived store for clips handed out by URL instead of inline
+export function createAudioClipStore() {
+  const clips = new Map();
+
+  function evictExpired() {
+    const now = Date.now();
+    for (const [id, clip] of clips) {
+      if (clip.expiresAt <= now) {
+        clips.delete(id);
+      }
+    }
+  }
+
+  return {
+    save(buffer, mimeType) {
+      evictExpired();
+      while (clips.size >= MAX_CLIPS) {
+        clips.delete(clips.keys().next().value);
+      }
+
+      const id = crypto.randomUUID();
+      clips.set(id, {
+        buffer,
+        mimeType,
+        expiresAt: Date.now() + CLIP_TTL_MS,
+      });
+      return id;
+    },
+    get(id) {
+      const clip = clips.get(id);
+      if (!clip || clip.expiresAt <= Date.now()) {
+        clips.delete(id);
+        return null;
+      }
+      return clip;
+    },
+  };
+}
+
+export async function synthesizeSpeech(provider, text, options) {
+  if (!text || typeof text !== "string") {
+    throw new Error("Invalid text for speech synthesis");
+  }
+
+  const startedAt = Date.now();
+  let failure = null;
+  try {
+    const buffer = await provider.synthesize({
+      text,
+      voice: options.voice,
+      format: options.format,
+      speed: options.speed,
+    });
+
+    return {
+      buffer,
+      mimeType: AUDIO_FORMATS[options.format],
+    };
+  } catch (error) {
+    failure = error.message;
+    logger.error("Text-to-speech failed", { provider: provider.name, error });
+    throw new Error(`Failed to synthesize speech: ${error.message}`);
+  } finally {
+    recordUsage({
+      provider: provider.name,
+      model: provider.model || provider.name,
+      operation: "synthesize",
+      latencyMs: Date.now() - startedAt,
+      error: failure,
+    });
+  }
+}
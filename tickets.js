@@ -0,0 +1,229 @@
+import path from "path";
+import crypto from "crypto";
+import { createMemoryStore, createFileStore } from "./json_store.js";
+
+export const TICKET_STATUSES = [
+  "open",
+  "in_progress",
+  "waiting_on_customer",
+  "resolved",
+  "closed",
+];
+export const TICKET_PRIORITIES = ["low", "normal", "high", "urgent"];
+export const TICKET_CATEGORIES = [
+  "order",
+  "shipping",
+  "returns",
+  "billing",
+  "account",
+  "product",
+  "technical",
+  "other",
+];
+
+// Longest conversation copied onto a ticket, and longest staff note
+const MAX_TRANSCRIPT_MESSAGES = 50;
+export const MAX_NOTE_LENGTH = 2000;
+const TICKET_ID_PATTERN = /^TKT-[A-Z0-9]{6}$/;
+
+// Users who ask for a person get one, whatever the LLM decided
+const HUMAN_REQUEST =
+  /\b(speak|talk|chat|connect me|put me through|transfer me)\b.*\b(human|person|someone|agent|representative|rep|manager|supervisor)\b|\b(real|live) (person|human|agent)\b|\bhuman (agent|support|being)\b/i;
+
+// Keyword fallback when the LLM leaves out or garbles the category
+const CATEGORY_KEYWORDS = [
+  [
+    "billing",
+    /\b(charge[ds]?|billing|invoice|payment|refund|card|overcharged)\b/,
+  ],
+  ["returns", /\b(return|exchange|send (it )?back)\b/],
+  [
+    "shipping",
+    /\b(ship(ping|ped)?|deliver(y|ed)?|tracking|package|parcel|courier)\b/,
+  ],
+  ["order", /\b(order|cancel|purchase)\b/],
+  ["account", /\b(account|log ?in|sign ?in|password|email address)\b/],
+  ["technical", /\b(app|website|error|crash(es|ed)?|bug|won'?t load)\b/],
+  [
+    "product",
+    /\b(broken|defective|damaged|doesn'?t work|stopped working|faulty)\b/,
+  ],
+];
+
+const URGENT =
+  /\b(fraud|unauthori[sz]ed|stolen|charged twice|double charged|fire|smoke|burn(ed|ing)?|injur(y|ed)|unsafe)\b/i;
+const HIGH =
+  /\b(refund|never (arrived|came)|missing|broken|damaged|urgent|asap|angry|unacceptable)\b/i;
+
+// File-backed ticket storage, the default; tickets must survive a restart
+export function createFileTicketStore(filePath) {
+  return createFileStore(filePath, "ticket");
+}
+
+// In-memory ticket storage for tests
+export function createMemoryTicketStore() {
+  return createMemoryStore();
+}
+
+// TICKET_STORE=memory keeps tickets in memory only
+export function createTicketStore() {
+  if (process.env.TICKET_STORE === "memory") {
+    return createMemoryTicketStore();
+  }
+  return createFileTicketStore(
+    process.env.TICKET_FILE || path.resolve(".data", "tickets.json")
+  );
+}
+
+export function isValidTicketId(ticketId) {
+  return typeof ticketId === "string" && TICKET_ID_PATTERN.test(ticketId);
+}
+
+export function asksForHuman(text) {
+  return typeof text === "string" && HUMAN_REQUEST.test(text);
+}
+
+// Category and priority for a problem, preferring what the LLM returned
+export function classifyProblem(problemDescription, suggested = {}) {
+  const lower = (problemDescription || "").toLowerCase();
+
+  const category = TICKET_CATEGORIES.includes(suggested.category)
+    ? suggested.category
+    : CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(lower))?.[0] ||
+      "other";
+
+  const priority = TICKET_PRIORITIES.includes(suggested.priority)
+    ? suggested.priority
+    : URGENT.test(lower)
+    ? "urgent"
+    : HIGH.test(lower)
+    ? "high"
+    : "normal";
+
+  return { category, priority };
+}
+
+// Short reference a caller can read out over the phone, e.g. TKT-7K2M9Q
+async function generateTicketId(store) {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  for (;;) {
+    const bytes = crypto.randomBytes(6);
+    const id = `TKT-${[...bytes]
+      .map((byte) => alphabet[byte % alphabet.length])
+      .join("")}`;
+    if (!(await store.get(id))) {
+      return id;
+    }
+  }
+}
+
+function toTranscript(messages) {
+  return messages
+    .filter((message) => message && typeof message.content === "string")
+    .slice(-MAX_TRANSCRIPT_MESSAGES)
+    .map((message) => ({
+      role: message.role === "assistant" ? "assistant" : "user",
+      content: message.content,
+    }));
+}
+
+export async function createTicket(store, input) {
+  const now = new Date().toISOString();
+  const ticket = {
+    id: await generateTicketId(store),
+    apiKey: input.apiKey ?? null,
+    userId: input.userId,
+    sessionId: input.sessionId || null,
+    status: "open",
+    category: input.category,
+    priority: input.priority,
+    subject: input.subject.slice(0, 200),
+    reason: input.reason,
+    nextSteps: input.nextSteps || [],
+    transcript: toTranscript(input.transcript || []),
+    notes: [],
+    history: [{ status: "open", at: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+  await store.set(ticket.id, ticket);
+  return ticket;
+}
+
+// Tickets belong to a userId under the API key that opened them, like
+// price watches. `apiKey` is null when API keys are turned off.
+function isOwner(ticket, { apiKey = null, userId }) {
+  return ticket.userId === userId && (ticket.apiKey ?? null) === apiKey;
+}
+
+// One of the owner's tickets, or null if it doesn't exist or isn't theirs.
+// `owner` is { apiKey, userId }.
+export async function getTicket(store, owner, ticketId) {
+  const ticket = await store.get(ticketId);
+  return ticket && isOwner(ticket, owner) ? ticket : null;
+}
+
+// Add later turns of the same conversation to an existing ticket
+export async function appendToTicket(store, ticket, messages) {
+  const updated = {
+    ...ticket,
+    transcript: toTranscript([...ticket.transcript, ...messages]),
+    updatedAt: new Date().toISOString(),
+  };
+  await store.set(ticket.id, updated);
+  return updated;
+}
+
+export function isTicketOpen(ticket) {
+  return !!ticket && !["resolved", "closed"].includes(ticket.status);
+}
+
+// Filter by userId, status, category or priority, newest first
+export async function listTickets(store, filters = {}) {
+  return (await store.list())
+    .filter((ticket) =>
+      ["userId", "status", "category", "priority"].every(
+        (field) => !filters[field] || ticket[field] === filters[field]
+      )
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Apply a validated update. Status changes are kept in the ticket history.
+// Returns null when the ticket doesn't exist.
+export async function updateTicket(store, ticketId, input) {
+  const ticket = await store.get(ticketId);
+  if (!ticket) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const updated = { ...ticket, updatedAt: now };
+  if (input.status && input.status !== ticket.status) {
+    updated.status = input.status;
+    updated.history = [...ticket.history, { status: input.status, at: now }];
+  }
+  if (input.priority) {
+    updated.priority = input.priority;
+  }
+  if (input.note) {
+    updated.notes = [...ticket.notes, { text: input.note.trim(), at: now }];
+  }
+
+  await store.set(ticketId, updated);
+  return updated;
+}
+
+// What the caller sees about their own ticket; staff notes stay internal
+export function publicTicket(ticket) {
+  const { notes, ...rest } = ticket;
+  return rest;
+}
+
+// Spoken confirmation with the reference spelled out for voice callers
+export function describeTicket(ticket, { existing = false } = {}) {
+  const spelled = ticket.id.replace("TKT-", "").split("").join(" ");
+  return existing
+    ? `I've added this to your open ticket ${ticket.id}, that's ${spelled}. A member of our support team will follow up.`
+    : `I've created support ticket ${ticket.id}, that's ${spelled}, and a member of our support team will get back to you.`;
+}
@@ -0,0 +1,394 @@
+import fs from "fs";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { logger } from "./logger.js";
+import { observeUpstreamCall } from "./metrics.js";
+
+// Estimated USD per million tokens, from the providers' published prices.
+// USAGE_PRICES_FILE can override or add entries in the same shape, and
+// "rapidapi:<host>": {"request": 0.001} prices a RapidAPI host per call.
+const DEFAULT_PRICES = {
+  "groq:llama3-8b-8192": { input: 0.05, output: 0.08 },
+  "groq:llama-3.1-8b-instant": { input: 0.05, output: 0.08 },
+  "groq:llama-3.3-70b-versatile": { input: 0.59, output: 0.79 },
+  "groq:meta-llama/llama-4-scout-17b-16e-instruct": {
+    input: 0.11,
+    output: 0.34,
+  },
+  "gemini:gemini-2.5-flash": { input: 0.3, output: 2.5 },
+};
+
+// Roughly what the paid RapidAPI plans charge per request; set yours
+const RAPIDAPI_COST_PER_REQUEST = Number(
+  process.env.RAPIDAPI_COST_PER_REQUEST || 0.0025
+);
+
+// Optional spend caps in USD: per API key per UTC day, and per session
+const KEY_DAILY_BUDGET_USD = optionalNumber(
+  process.env.USAGE_KEY_DAILY_BUDGET_USD
+);
+const SESSION_BUDGET_USD = optionalNumber(process.env.USAGE_SESSION_BUDGET_USD);
+
+const MAX_SESSIONS = 1000;
+const MAX_DAYS = 31;
+const MAX_RECENT_REQUESTS = 20;
+
+function optionalNumber(value) {
+  return value ? Number(value) : null;
+}
+
+function loadPrices() {
+  if (!process.env.USAGE_PRICES_FILE) {
+    return DEFAULT_PRICES;
+  }
+  return {
+    ...DEFAULT_PRICES,
+    ...JSON.parse(fs.readFileSync(process.env.USAGE_PRICES_FILE, "utf8")),
+  };
+}
+
+const prices = loadPrices();
+
+function estimateCost(call) {
+  if (call.provider === "rapidapi") {
+    return (
+      prices[`rapidapi:${call.model}`]?.request ?? RAPIDAPI_COST_PER_REQUEST
+    );
+  }
+
+  const price = prices[`${call.provider}:${call.model}`];
+  if (!price) {
+    return 0;
+  }
+  return (
+    (call.inputTokens * price.input + call.outputTokens * price.output) / 1e6
+  );
+}
+
+// The request being served, so calls made anywhere below a route handler
+// are counted against it without threading it through every function
+const requestScope = new AsyncLocalStorage();
+
+// Totals per API key, with breakdowns by day, intent, operation (LLM task
+// or RapidAPI call) and model, plus totals per session. Kept in memory, so
+// they restart from zero with the server.
+const keys = new Map();
+const sessions = new Map();
+
+// Session totals are kept per API key as well, so a session id used under
+// another key never shares its spend
+function sessionKey(sessionId, keyId) {
+  return `${keyId}:${sessionId}`;
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    calls: 0,
+    failedCalls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    latencyMs: 0,
+    costUsd: 0,
+  };
+}
+
+function bucket(map, name) {
+  if (!map.has(name)) {
+    map.set(name, emptyTotals());
+  }
+  return map.get(name);
+}
+
+function addCall(totals, call) {
+  totals.calls++;
+  totals.failedCalls += call.error ? 1 : 0;
+  totals.inputTokens += call.inputTokens;
+  totals.outputTokens += call.outputTokens;
+  totals.latencyMs += call.latencyMs;
+  totals.costUsd += call.costUsd;
+}
+
+function keyLedger(keyId) {
+  if (!keys.has(keyId)) {
+    keys.set(keyId, {
+      totals: emptyTotals(),
+      days: new Map(),
+      intents: new Map(),
+      operations: new Map(),
+      models: new Map(),
+      recent: [],
+    });
+  }
+  return keys.get(keyId);
+}
+
+function sessionLedger(sessionId, keyId) {
+  const key = sessionKey(sessionId, keyId);
+  let ledger = sessions.get(key);
+  if (ledger) {
+    // Re-inserted so the least recently used session is dropped first
+    sessions.delete(key);
+  } else {
+    ledger = { keyId, totals: emptyTotals(), intents: new Map() };
+  }
+  sessions.set(key, ledger);
+  while (sessions.size > MAX_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+  return ledger;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function sumCost(calls) {
+  return calls.reduce((total, call) => total + call.costUsd, 0);
+}
+
+function commitRequest(record) {
+  const ledger = keyLedger(record.keyId);
+  const intent = record.intent || "none";
+  const perRequest = [
+    ledger.totals,
+    bucket(ledger.days, today()),
+    bucket(ledger.intents, intent),
+  ];
+  while (ledger.days.size > MAX_DAYS) {
+    ledger.days.delete(ledger.days.keys().next().value);
+  }
+  if (record.sessionId) {
+    const session = sessionLedger(record.sessionId, record.keyId);
+    perRequest.push(session.totals, bucket(session.intents, intent));
+  }
+
+  for (const totals of perRequest) {
+    totals.requests++;
+  }
+  for (const call of record.calls) {
+    perRequest.forEach((totals) => addCall(totals, call));
+    addCall(bucket(ledger.operations, call.operation), call);
+    addCall(bucket(ledger.models, `${call.provider}:${call.model}`), call);
+  }
+
+  // Requests that called nothing upstream aren't worth listing
+  if (record.calls.length > 0) {
+    const summary = describeRequest(record);
+    ledger.recent = [summary, ...ledger.recent].slice(0, MAX_RECENT_REQUESTS);
+    logger.info("Request usage", {
+      route: summary.route,
+      calls: summary.calls.length,
+      inputTokens: summary.inputTokens,
+      outputTokens: summary.outputTokens,
+      costUsd: summary.costUsd,
+    });
+  }
+}
+
+function describeRequest(record) {
+  const totals = emptyTotals();
+  record.calls.forEach((call) => addCall(totals, call));
+  return {
+    id: record.id,
+    route: record.route,
+    sessionId: record.sessionId,
+    intent: record.intent,
+    degraded: record.degraded,
+    startedAt: new Date(record.startedAt).toISOString(),
+    inputTokens: totals.inputTokens,
+    outputTokens: totals.outputTokens,
+    costUsd: roundCost(totals.costUsd),
+    calls: record.calls.map((call) => ({
+      ...call,
+      costUsd: roundCost(call.costUsd),
+    })),
+  };
+}
+
+// Middleware that opens a usage record for each request and adds it to the
+// totals once the response is done, or the client went away
+export function meterUsage(req, res, next) {
+  const record = {
+    id: req.id || crypto.randomUUID(),
+    route: `${req.method} ${req.path}`,
+    keyId: req.apiClient?.id || "anonymous",
+    keyBudgetUsd: req.apiClient?.dailyBudgetUsd ?? KEY_DAILY_BUDGET_USD,
+    sessionId: null,
+    intent: null,
+    degraded: false,
+    startedAt: Date.now(),
+    calls: [],
+  };
+  res.once("close", () => commitRequest(record));
+  requestScope.run(record, next);
+}
+
+// Attribute the current request to a session and the intent it served
+export function tagUsage(fields) {
+  const record = requestScope.getStore();
+  if (record) {
+    Object.assign(record, fields);
+  }
+}
+
+// Count one upstream call: { provider, model, operation, inputTokens,
+// outputTokens, latencyMs, error }. Calls outside a request, like the
+// price watcher's, are committed on their own under "background".
+export function recordUsage(call) {
+  const entry = {
+    provider: call.provider,
+    model: call.model,
+    operation: call.operation,
+    inputTokens: call.inputTokens || 0,
+    outputTokens: call.outputTokens || 0,
+    latencyMs: call.latencyMs,
+    costUsd: 0,
+    error: call.error || null,
+  };
+  entry.costUsd = estimateCost(entry);
+  observeUpstreamCall(entry);
+  logger.info("Upstream call", entry);
+
+  const record = requestScope.getStore();
+  if (record) {
+    record.calls.push(entry);
+    return;
+  }
+  commitRequest({
+    id: crypto.randomUUID(),
+    route: "background",
+    keyId: "background",
+    sessionId: null,
+    intent: null,
+    degraded: false,
+    startedAt: Date.now(),
+    calls: [entry],
+  });
+}
+
+// Whether the current request's key or session has spent its budget,
+// counting this request's calls so far. A request found over budget is
+// marked degraded.
+export function isOverBudget() {
+  const record = requestScope.getStore();
+  if (!record) {
+    return false;
+  }
+
+  const inFlight = sumCost(record.calls);
+  const keySpend = keys.get(record.keyId)?.days.get(today())?.costUsd || 0;
+  const session = record.sessionId
+    ? sessions.get(sessionKey(record.sessionId, record.keyId))
+    : null;
+  const sessionSpend = session?.totals.costUsd || 0;
+  const overBudget =
+    (record.keyBudgetUsd !== null &&
+      keySpend + inFlight >= record.keyBudgetUsd) ||
+    (SESSION_BUDGET_USD !== null &&
+      !!record.sessionId &&
+      sessionSpend + inFlight >= SESSION_BUDGET_USD);
+
+  if (overBudget && !record.degraded) {
+    record.degraded = true;
+    logger.warn("Usage budget reached, degrading request", {
+      apiKey: record.keyId,
+      route: record.route,
+    });
+  }
+  return overBudget;
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function reportTotals(totals) {
+  return { ...totals, costUsd: roundCost(totals.costUsd) };
+}
+
+// Breakdown with the most expensive entries first
+function reportBreakdown(map) {
+  return Object.fromEntries(
+    [...map.entries()]
+      .sort(([, a], [, b]) => b.costUsd - a.costUsd)
+      .map(([name, totals]) => [name, reportTotals(totals)])
+  );
+}
+
+function reportBudget(spentUsd, budgetUsd) {
+  return {
+    budgetUsd,
+    remainingUsd:
+      budgetUsd === null ? null : roundCost(Math.max(0, budgetUsd - spentUsd)),
+  };
+}
+
+// What one API key has used, today and since the server started
+export function getKeyUsage(keyId, { dailyBudgetUsd } = {}) {
+  const ledger = keyLedger(keyId);
+  const todayTotals = ledger.days.get(today()) || emptyTotals();
+  return {
+    keyId,
+    today: {
+      date: today(),
+      ...reportTotals(todayTotals),
+      ...reportBudget(
+        todayTotals.costUsd,
+        dailyBudgetUsd ?? KEY_DAILY_BUDGET_USD
+      ),
+    },
+    totals: reportTotals(ledger.totals),
+    byIntent: reportBreakdown(ledger.intents),
+    byOperation: reportBreakdown(ledger.operations),
+    byModel: reportBreakdown(ledger.models),
+    recentRequests: ledger.recent,
+  };
+}
+
+// One session's usage, or null when it isn't known or belongs to another
+// key
+export function getSessionUsage(sessionId, keyId) {
+  const ledger = sessions.get(sessionKey(sessionId, keyId));
+  if (!ledger) {
+    return null;
+  }
+  return {
+    sessionId,
+    keyId,
+    ...reportTotals(ledger.totals),
+    ...reportBudget(ledger.totals.costUsd, SESSION_BUDGET_USD),
+    byIntent: reportBreakdown(ledger.intents),
+  };
+}
+
+// Every key's totals, and intents, operations and models across all keys
+export function getUsageOverview() {
+  const combined = {
+    intents: new Map(),
+    operations: new Map(),
+    models: new Map(),
+  };
+  const byKey = {};
+  for (const [keyId, ledger] of keys) {
+    byKey[keyId] = {
+      today: reportTotals(ledger.days.get(today()) || emptyTotals()),
+      totals: reportTotals(ledger.totals),
+    };
+    for (const dimension of Object.keys(combined)) {
+      for (const [name, totals] of ledger[dimension]) {
+        const merged = bucket(combined[dimension], name);
+        for (const field of Object.keys(merged)) {
+          merged[field] += totals[field];
+        }
+      }
+    }
+  }
+
+  return {
+    byKey,
+    byIntent: reportBreakdown(combined.intents),
+    byOperation: reportBreakdown(combined.operations),
+    byModel: reportBreakdown(combined.models),
+  };
+}
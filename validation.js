@@ -0,0 +1,59 @@
+import { ROUTES } from "./api_schemas.js";
+
+// The error envelope every failed request answers with. Extra fields such
+// as the reply language ride along.
+export function errorEnvelope({ error, message, details = null, ...extra }) {
+  return { success: false, error, message, details, ...extra };
+}
+
+export function sendError(res, status, body) {
+  return res.status(status).json(errorEnvelope(body));
+}
+
+// "messageHistory.0.role: Required" style lines for each zod issue
+function describeIssues(part, issues) {
+  return issues.map((issue) => {
+    const path = issue.path.join(".");
+    return {
+      in: part,
+      path,
+      message: path ? `${path}: ${issue.message}` : issue.message,
+    };
+  });
+}
+
+// Check a request against the schemas declared for its route in ROUTES.
+// The parsed body, with defaults filled in and unknown fields dropped,
+// replaces req.body. Throws at startup for routes without a declaration so
+// none can go undocumented.
+export function validate(routeKey) {
+  const route = ROUTES[routeKey];
+  if (!route) {
+    throw new Error(`No schema declared for ${routeKey}`);
+  }
+
+  return (req, res, next) => {
+    const issues = [];
+    for (const part of ["params", "query", "body"]) {
+      if (!route[part]) {
+        continue;
+      }
+
+      const result = route[part].safeParse(req[part] ?? {});
+      if (!result.success) {
+        issues.push(...describeIssues(part, result.error.issues));
+      } else if (part === "body") {
+        req.body = result.data;
+      }
+    }
+
+    if (issues.length > 0) {
+      return sendError(res, 400, {
+        error: "Invalid request",
+        message: issues.map((issue) => issue.message).join("; "),
+        details: issues,
+      });
+    }
+    next();
+  };
+}